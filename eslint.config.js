@@ -26,7 +26,9 @@ module.exports = defineConfig([
         files: ['**/lwc/**/*.test.js'],
         extends: [lwcConfig],
         rules: {
-            '@lwc/lwc/no-unexpected-wire-adapter-usages': 'off'
+            '@lwc/lwc/no-unexpected-wire-adapter-usages': 'off',
+            // Tests wait on timers to let Apex promises and re-renders settle
+            '@lwc/lwc/no-async-operation': 'off'
         },
         languageOptions: {
             globals: {
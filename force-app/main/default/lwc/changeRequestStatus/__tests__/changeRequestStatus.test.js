@@ -0,0 +1,103 @@
+import { createElement } from 'lwc';
+import ChangeRequestStatus from 'c/changeRequestStatus';
+import getChangeRequests from '@salesforce/apex/TransferRegistrationController.getChangeRequests';
+
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getChangeRequests',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const ATTENDEE_ID = 'a01000000000001AAA';
+
+const PENDING_REQUEST = {
+    Id: 'a0W000000000001AAA',
+    Name: 'RCR-0001',
+    Change_Type__c: 'Cancellation',
+    Status__c: 'Pending Approval',
+    CreatedDate: '2026-03-02T15:30:00.000Z',
+    CreatedBy: { Name: 'Pat Registrar' },
+    Refund_Amount__c: 9950,
+    Approval_Reason__c: 'Refund above the approval threshold'
+};
+
+const FAILED_REQUEST = {
+    Id: 'a0W000000000002AAA',
+    Name: 'RCR-0002',
+    Change_Type__c: 'Transfer',
+    Status__c: 'Failed',
+    CreatedDate: '2026-03-01T15:30:00.000Z',
+    CreatedBy: { Name: 'Pat Registrar' },
+    Waived_Fee_Amount__c: 500,
+    Approval_Reason__c: 'Transfer fee waived',
+    Error_Message__c: 'Program is full'
+};
+
+// Lets the Apex promise and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent(props = {}) {
+    const element = createElement('c-change-request-status', { is: ChangeRequestStatus });
+    Object.assign(element, { attendeeId: ATTENDEE_ID, currencyCode: 'USD' }, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('c-change-request-status', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the held changes with their approval status', async () => {
+        getChangeRequests.mockResolvedValue([PENDING_REQUEST, FAILED_REQUEST]);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getChangeRequests).toHaveBeenCalledWith({ attendeeId: ATTENDEE_ID });
+        const badges = Array.from(element.shadowRoot.querySelectorAll('.slds-badge'));
+        expect(badges.map((badge) => badge.textContent)).toEqual(['Pending Approval', 'Failed']);
+        expect(badges[0].className).toContain('slds-theme_warning');
+        expect(element.shadowRoot.textContent).toContain('Refund: $9,950.00');
+        expect(element.shadowRoot.textContent).toContain('Fee waived: $500.00');
+        expect(element.shadowRoot.querySelector('.slds-text-color_error').textContent).toBe('Program is full');
+    });
+
+    it('renders nothing on step 0 when no change was held', async () => {
+        getChangeRequests.mockResolvedValue([]);
+
+        const element = createComponent({ hideWhenEmpty: true });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-box')).toBeNull();
+    });
+
+    it('warns when the requests cannot be loaded', async () => {
+        getChangeRequests.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            message: 'Failed to load approval requests: Insufficient access',
+            variant: 'error'
+        });
+        expect(element.shadowRoot.textContent).toContain('No changes to this registration have been held for approval.');
+    });
+
+    it('reloads when refreshed by its parent', async () => {
+        getChangeRequests.mockResolvedValueOnce([]).mockResolvedValueOnce([PENDING_REQUEST]);
+        const element = createComponent();
+        await flushPromises();
+
+        await element.refresh();
+        await flushPromises();
+
+        expect(getChangeRequests).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('strong').textContent).toBe('RCR-0001');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * @description  Finance approval status - lists the Registration_Change_Request__c rows
+ *               for an attendee (transfers / cancellations held by a Registration
+ *               Approval Rule) with their approval status. Shown on step 0 of
+ *               transferRegistration when there are any, and on the completion screen
+ *               after a change is submitted for approval.
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { formatCurrency } from 'c/currencyFormat';
+
+import getChangeRequests from '@salesforce/apex/TransferRegistrationController.getChangeRequests';
+
+const STATUS_CLASSES = {
+    'Pending Approval': 'slds-badge slds-theme_warning',
+    Approved: 'slds-badge slds-theme_info',
+    Executed: 'slds-badge slds-theme_success',
+    Rejected: 'slds-badge slds-theme_error',
+    Failed: 'slds-badge slds-theme_error',
+    Recalled: 'slds-badge'
+};
+
+export default class ChangeRequestStatus extends LightningElement {
+    @api attendeeId;
+    @api currencyCode;
+    @api hideWhenEmpty = false;     // Step 0: render nothing when no change was ever held
+
+    // ═══════════════ STATE ═══════════════
+    @track changeRequests = [];
+    @track isLoading = true;
+
+    connectedCallback() {
+        this.loadChangeRequests();
+    }
+
+    @api
+    refresh() {
+        return this.loadChangeRequests();
+    }
+
+    async loadChangeRequests() {
+        this.isLoading = true;
+        try {
+            this.changeRequests = await getChangeRequests({ attendeeId: this.attendeeId });
+        } catch (error) {
+            this.changeRequests = [];
+            this.showToast('Error', 'Failed to load approval requests: ' + this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ DISPLAY PROPERTIES ═══════════════
+
+    get hasChangeRequests() {
+        return this.changeRequests && this.changeRequests.length > 0;
+    }
+
+    get isVisible() {
+        return !this.hideWhenEmpty || this.hasChangeRequests;
+    }
+
+    get requestRows() {
+        return (this.changeRequests || []).map(cr => ({
+            ...cr,
+            url: `/lightning/r/Registration_Change_Request__c/${cr.Id}/view`,
+            statusClass: STATUS_CLASSES[cr.Status__c] || 'slds-badge',
+            requestedBy: cr.CreatedBy ? cr.CreatedBy.Name : '',
+            formattedCreatedDate: new Date(cr.CreatedDate).toLocaleString('en-US', {
+                month: 'short', day: '2-digit', year: 'numeric', hour: 'numeric', minute: '2-digit'
+            }),
+            formattedRefund: cr.Refund_Amount__c ? formatCurrency(cr.Refund_Amount__c, this.currencyCode) : null,
+            formattedWaivedFee: cr.Waived_Fee_Amount__c ? formatCurrency(cr.Waived_Fee_Amount__c, this.currencyCode) : null
+        }));
+    }
+
+    // ═══════════════ HANDLERS ═══════════════
+
+    handleRefresh() {
+        this.loadChangeRequests();
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
@@ -0,0 +1,17 @@
+import { formatCurrency, DEFAULT_CURRENCY } from 'c/currencyFormat';
+
+describe('c-currency-format', () => {
+    it('formats an amount in the given currency', () => {
+        expect(formatCurrency(9950, 'USD')).toBe('$9,950.00');
+        expect(formatCurrency(1234.5, 'EUR')).toBe('€1,234.50');
+    });
+
+    it('falls back to the default currency when none is given', () => {
+        expect(DEFAULT_CURRENCY).toBe('USD');
+        expect(formatCurrency(500)).toBe('$500.00');
+    });
+
+    it('formats a missing amount as zero', () => {
+        expect(formatCurrency(null, 'USD')).toBe('$0.00');
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * @description  Currency formatting shared by the registration change components.
+ *               Amounts are shown in the record's CurrencyIsoCode (the org currency
+ *               when multi-currency is off), which Apex returns alongside the data.
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+// Intl.NumberFormat is costly to build; keep one per ISO code
+const FORMATTERS = {};
+
+export function formatCurrency(amount, currencyCode) {
+    const code = currencyCode || DEFAULT_CURRENCY;
+    if (!FORMATTERS[code]) {
+        FORMATTERS[code] = new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    }
+    return FORMATTERS[code].format(amount || 0);
+}
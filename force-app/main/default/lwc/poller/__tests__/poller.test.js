@@ -0,0 +1,74 @@
+import { poll, delay, POLL_INTERVAL_MS } from 'c/poller';
+
+describe('c-poller', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('checks at once and then every interval until the check resolves true', async () => {
+        const check = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(false).mockResolvedValue(true);
+
+        poll(check);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(check).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS);
+        expect(check).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS);
+        expect(check).toHaveBeenCalledTimes(3);
+
+        await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 5);
+        expect(check).toHaveBeenCalledTimes(3);
+    });
+
+    it('stops polling when the returned function is called', async () => {
+        const check = jest.fn().mockResolvedValue(false);
+
+        const stop = poll(check, 1000);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(check).toHaveBeenCalledTimes(2);
+
+        stop();
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(check).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not schedule another check when stopped while one is in flight', async () => {
+        let resolveCheck;
+        const check = jest.fn(() => new Promise((resolve) => { resolveCheck = resolve; }));
+
+        const stop = poll(check, 1000);
+        stop();
+        resolveCheck(false);
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops polling when a check rejects', async () => {
+        const check = jest.fn().mockRejectedValue(new Error('Job not found'));
+
+        poll(check, 1000);
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('delay runs the callback once unless cancelled', () => {
+        const callback = jest.fn();
+        const cancelled = jest.fn();
+
+        delay(callback, 1500);
+        const cancel = delay(cancelled, 1500);
+        cancel();
+        jest.advanceTimersByTime(3000);
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(cancelled).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * @description  Timers shared by the registration change components: polling the
+ *               status of a queued Apex job until it finishes, and delaying work
+ *               such as a draft save until typing pauses.
+ *
+ *               @lwc/lwc/no-async-operation flags every setTimeout, so the one timer
+ *               lives here. Callers keep the returned stop / cancel function and call
+ *               it from disconnectedCallback, so nothing runs after the component is gone.
+ */
+export const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Calls check now and then every intervalMs until it resolves to true. check
+ * should report its own errors and resolve to true to stop on one; a check that
+ * rejects anyway also stops polling rather than leaving an unhandled rejection.
+ * Returns a function that stops polling.
+ */
+export function poll(check, intervalMs = POLL_INTERVAL_MS) {
+    let stopped = false;
+    let cancelNext = () => {};
+    const run = async () => {
+        let done;
+        try {
+            done = await check();
+        } catch {
+            done = true;
+        }
+        if (!done && !stopped) {
+            cancelNext = delay(run, intervalMs);
+        }
+    };
+    run();
+    return () => {
+        stopped = true;
+        cancelNext();
+    };
+}
+
+/** Runs callback once after delayMs. Returns a function that cancels it. */
+export function delay(callback, delayMs) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation -- The only timer; every caller cancels it on disconnect
+    const timeoutId = setTimeout(callback, delayMs);
+    return () => clearTimeout(timeoutId);
+}
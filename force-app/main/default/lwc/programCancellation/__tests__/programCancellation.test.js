@@ -0,0 +1,193 @@
+import { createElement } from 'lwc';
+import ProgramCancellation from 'c/programCancellation';
+import { CloseActionScreenEventName } from 'lightning/actions';
+import getProgramAttendees from '@salesforce/apex/ProgramCancellationController.getProgramAttendees';
+import startProgramCancellation from '@salesforce/apex/ProgramCancellationController.startProgramCancellation';
+import getProgramCancellationStatus from '@salesforce/apex/ProgramCancellationController.getProgramCancellationStatus';
+import getCancellationReasonLostOptions from '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions';
+
+jest.mock(
+    '@salesforce/apex/ProgramCancellationController.getProgramAttendees',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProgramCancellationController.startProgramCancellation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProgramCancellationController.getProgramCancellationStatus',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const PROGRAM_ID = 'a0X000000000001AAA';
+
+const ATTENDEES = [
+    {
+        attendeeId: 'a01000000000001AAA',
+        attendeeName: 'Jane Doe',
+        opportunityName: 'Doe - WIL',
+        paymentStatus: 'Paid',
+        netAmount: 9950,
+        currencyIsoCode: 'USD',
+        requiresSettlement: true
+    },
+    {
+        attendeeId: 'a01000000000002AAA',
+        attendeeName: 'John Smith',
+        opportunityName: 'Smith - WIL',
+        paymentStatus: 'Not Paid',
+        netAmount: 9950,
+        currencyIsoCode: 'USD',
+        requiresSettlement: false
+    }
+];
+
+// Lets the Apex promises and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent() {
+    const element = createElement('c-program-cancellation', { is: ProgramCancellation });
+    element.recordId = PROGRAM_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+function button(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find((b) => b.label === label);
+}
+
+describe('c-program-cancellation', () => {
+    beforeEach(() => {
+        getCancellationReasonLostOptions.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the program registrations, all selected', async () => {
+        getProgramAttendees.mockResolvedValue(ATTENDEES);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getProgramAttendees).toHaveBeenCalledWith({ specialEventId: PROGRAM_ID });
+        expect(element.shadowRoot.querySelectorAll('tbody tr')).toHaveLength(2);
+        expect(element.shadowRoot.querySelector('.placeholder-text').textContent).toBe('2 selected · $19,900.00 net');
+        // Only the paid registration takes a settlement
+        expect(element.shadowRoot.querySelectorAll('tbody lightning-combobox')).toHaveLength(1);
+    });
+
+    it('shows the error when the registrations cannot be loaded', async () => {
+        getProgramAttendees.mockRejectedValue({ body: { message: 'Insufficient access' } });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-alert_error h2').textContent).toBe('Insufficient access');
+        expect(element.shadowRoot.querySelector('lightning-progress-indicator')).toBeNull();
+    });
+
+    it('starts the cancellation and reports the finished job', async () => {
+        getProgramAttendees.mockResolvedValue(ATTENDEES);
+        startProgramCancellation.mockResolvedValue('707000000000001AAA');
+        getProgramCancellationStatus.mockResolvedValue({
+            status: 'Completed',
+            isComplete: true,
+            totalItems: 2,
+            itemsProcessed: 2,
+            successCount: 1,
+            failureCount: 1,
+            results: [
+                { attendeeId: ATTENDEES[0].attendeeId, attendeeName: 'Jane Doe', success: true, opportunityId: '006000000000001AAA', opportunityName: 'Doe - WIL' },
+                { attendeeId: ATTENDEES[1].attendeeId, attendeeName: 'John Smith', success: false, errorMessage: 'Row locked' }
+            ]
+        });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        button(element, 'Next').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('lightning-radio-group').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Refund' } })
+        );
+        element.shadowRoot.querySelector('lightning-textarea').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Program cancelled' } })
+        );
+        await flushPromises();
+        button(element, 'Cancel Registrations').click();
+        await flushPromises();
+
+        expect(startProgramCancellation).toHaveBeenCalledWith({
+            request: {
+                specialEventId: PROGRAM_ID,
+                defaultSettlementType: 'Refund',
+                reasonLost: 'Program cancelled',
+                cancelComments: '',
+                rows: [
+                    { attendeeId: ATTENDEES[0].attendeeId, settlementType: null },
+                    { attendeeId: ATTENDEES[1].attendeeId, settlementType: null }
+                ]
+            }
+        });
+        expect(getProgramCancellationStatus).toHaveBeenCalledWith({ jobId: '707000000000001AAA' });
+        const statusCells = Array.from(element.shadowRoot.querySelectorAll('tbody tr')).map((row) => row.children[3].textContent);
+        expect(statusCells).toEqual(['Cancelled', 'Failed']);
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Program Cancellation Complete',
+            message: '1 cancelled, 1 failed.',
+            variant: 'warning'
+        });
+    });
+
+    it('warns when the job status cannot be read', async () => {
+        getProgramAttendees.mockResolvedValue([ATTENDEES[1]]);
+        startProgramCancellation.mockResolvedValue('707000000000001AAA');
+        getProgramCancellationStatus.mockRejectedValue({ body: { message: 'Job not found' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        button(element, 'Next').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('lightning-textarea').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Program cancelled' } })
+        );
+        await flushPromises();
+        button(element, 'Cancel Registrations').click();
+        await flushPromises();
+
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            message: 'Failed to load cancellation status: Job not found',
+            variant: 'error'
+        });
+    });
+
+    it('closes the quick action', async () => {
+        getProgramAttendees.mockResolvedValue(ATTENDEES);
+        const element = createComponent();
+        const closeHandler = jest.fn();
+        element.addEventListener(CloseActionScreenEventName, closeHandler);
+        await flushPromises();
+
+        button(element, 'Cancel').click();
+
+        expect(closeHandler).toHaveBeenCalled();
+    });
+});
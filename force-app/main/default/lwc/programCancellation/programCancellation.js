@@ -0,0 +1,303 @@
+/**
+ * @description  Program Cancellation LWC - Quick Action on evt__Special_Event__c
+ *               Cancels every selected registration on a cancelled program run.
+ *               Step 1: Select Registrations (per-row settlement overrides)
+ *               Step 2: Cancellation Details (default settlement, Reason Lost, comments)
+ *               Step 3: Processing → per-attendee results (ProgramCancellationBatch)
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { CloseActionScreenEvent } from 'lightning/actions';
+import { formatCurrency, DEFAULT_CURRENCY } from 'c/currencyFormat';
+import { poll } from 'c/poller';
+
+import getProgramAttendees from '@salesforce/apex/ProgramCancellationController.getProgramAttendees';
+import startProgramCancellation from '@salesforce/apex/ProgramCancellationController.startProgramCancellation';
+import getProgramCancellationStatus from '@salesforce/apex/ProgramCancellationController.getProgramCancellationStatus';
+import getCancellationReasonLostOptions from '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions';
+
+const DEFAULT_SETTLEMENT_OPTIONS = [
+    { label: 'Refund', value: 'Refund' },
+    { label: 'Unapplied Funds', value: 'Unapplied Funds' }
+];
+
+// Per-row override: blank falls back to the default settlement
+const ROW_SETTLEMENT_OPTIONS = [
+    { label: 'Use Default', value: '' },
+    { label: 'Refund', value: 'Refund' },
+    { label: 'Unapplied Funds', value: 'Unapplied Funds' }
+];
+
+const ROW_SETTLEMENT_OPTIONS_BUNDLE = [
+    { label: 'Use Default', value: '' },
+    { label: 'Apply to Remaining Balance', value: 'Apply to Remaining Balance' },
+    { label: 'Refund', value: 'Refund' },
+    { label: 'Unapplied Funds', value: 'Unapplied Funds' }
+];
+
+
+export default class ProgramCancellation extends LightningElement {
+    @api recordId; // Special Event Id from Quick Action
+
+    // ═══════════════ STATE ═══════════════
+    @track currentStep = '1';
+    @track isLoading = true;
+    @track isProcessing = false;
+    @track hasError = false;
+    @track errorMessage = '';
+
+    // Step 1 - Registrations
+    @track attendeeRows = [];
+
+    // Step 2 - Details
+    @track defaultSettlementType = '';
+    @track reasonLost = '';
+    @track cancelComments = '';
+    @track reasonLostOptions = [];
+
+    // Step 3 - Job status
+    @track jobId = null;
+    @track jobStatus = null;
+
+    stopPolling;
+
+    // ═══════════════ LIFECYCLE ═══════════════
+
+    connectedCallback() {
+        this.loadAttendees();
+    }
+
+    disconnectedCallback() {
+        this.stopPolling?.();
+    }
+
+    async loadAttendees() {
+        this.isLoading = true;
+        this.hasError = false;
+        try {
+            const rows = await getProgramAttendees({ specialEventId: this.recordId });
+            this.attendeeRows = (rows || []).map((row) => ({
+                ...row,
+                selected: true,
+                settlementType: '',
+                formattedNetAmount: formatCurrency(row.netAmount, row.currencyIsoCode),
+                settlementOptions: row.isBundled && row.paymentStatus === 'Partial Payment'
+                    ? ROW_SETTLEMENT_OPTIONS_BUNDLE
+                    : ROW_SETTLEMENT_OPTIONS
+            }));
+            await this.loadReasonLostOptions();
+        } catch (error) {
+            this.hasError = true;
+            this.errorMessage = this.extractErrorMessage(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadReasonLostOptions() {
+        try {
+            const opts = await getCancellationReasonLostOptions();
+            this.reasonLostOptions = Array.isArray(opts) ? opts : [];
+        } catch {
+            this.reasonLostOptions = [];
+        }
+    }
+
+    // ═══════════════ STEP GETTERS ═══════════════
+
+    get isReady() { return !this.isLoading && !this.hasError; }
+    get isStep1() { return this.currentStep === '1'; }
+    get isStep2() { return this.currentStep === '2'; }
+    get isStep3() { return this.currentStep === '3'; }
+
+    get hasAttendees() { return this.attendeeRows.length > 0; }
+
+    get selectedRows() {
+        return this.attendeeRows.filter((row) => row.selected);
+    }
+
+    get selectedCount() { return this.selectedRows.length; }
+
+    get allSelected() {
+        return this.hasAttendees && this.selectedCount === this.attendeeRows.length;
+    }
+
+    // Paid / Partial Payment rows left on "Use Default" need the default settlement
+    get needsDefaultSettlement() {
+        return this.selectedRows.some((row) => row.requiresSettlement && !row.settlementType);
+    }
+
+    get defaultSettlementOptions() { return DEFAULT_SETTLEMENT_OPTIONS; }
+
+    get hasPicklistReasonLostOptions() {
+        return this.reasonLostOptions.length > 0;
+    }
+
+    get selectedTotalFormatted() {
+        // One total per currency: registrations on a program are normally all in its currency
+        const totals = this.selectedRows.reduce((byCurrency, row) => {
+            const code = row.currencyIsoCode || DEFAULT_CURRENCY;
+            byCurrency[code] = (byCurrency[code] || 0) + (row.netAmount || 0);
+            return byCurrency;
+        }, {});
+        const codes = Object.keys(totals);
+        if (codes.length === 0) return formatCurrency(0);
+        return codes.map((code) => formatCurrency(totals[code], code)).join(' + ');
+    }
+
+    // ═══════════════ STEP 1: REGISTRATIONS ═══════════════
+
+    handleSelectAll(event) {
+        const checked = event.target.checked;
+        this.attendeeRows = this.attendeeRows.map((row) => ({ ...row, selected: checked }));
+    }
+
+    handleRowSelect(event) {
+        const attendeeId = event.target.dataset.id;
+        const checked = event.target.checked;
+        this.attendeeRows = this.attendeeRows.map((row) =>
+            (row.attendeeId === attendeeId ? { ...row, selected: checked } : row)
+        );
+    }
+
+    handleRowSettlementChange(event) {
+        const attendeeId = event.target.dataset.id;
+        const value = event.detail.value;
+        this.attendeeRows = this.attendeeRows.map((row) =>
+            (row.attendeeId === attendeeId ? { ...row, settlementType: value } : row)
+        );
+    }
+
+    // ═══════════════ STEP 2: DETAILS ═══════════════
+
+    handleDefaultSettlementChange(event) {
+        this.defaultSettlementType = event.detail.value;
+    }
+
+    handleReasonLostChange(event) {
+        const v = event.detail?.value !== undefined ? event.detail.value : (event.target?.value ?? '');
+        this.reasonLost = v;
+    }
+
+    handleCommentsChange(event) {
+        this.cancelComments = event.target.value;
+    }
+
+    // ═══════════════ STEP 3: PROCESSING + RESULTS ═══════════════
+
+    get isJobComplete() { return this.jobStatus?.isComplete === true; }
+
+    get progressValue() {
+        const total = this.jobStatus?.totalItems || 0;
+        return total > 0 ? Math.round(((this.jobStatus.itemsProcessed || 0) / total) * 100) : 0;
+    }
+
+    get progressLabel() {
+        if (!this.jobStatus) return 'Starting…';
+        return `${this.jobStatus.status} — ${this.jobStatus.itemsProcessed || 0} of ${this.jobStatus.totalItems || 0} processed`;
+    }
+
+    get resultRows() {
+        return (this.jobStatus?.results || []).map((row) => ({
+            ...row,
+            statusLabel: row.success ? 'Cancelled' : 'Failed',
+            statusClass: row.success ? 'slds-text-color_success' : 'slds-text-color_error',
+            opportunityUrl: row.opportunityId ? `/lightning/r/Opportunity/${row.opportunityId}/view` : null
+        }));
+    }
+
+    get hasResults() { return this.resultRows.length > 0; }
+
+    get successCount() { return this.jobStatus?.successCount || 0; }
+    get failureCount() { return this.jobStatus?.failureCount || 0; }
+
+    async handleStart() {
+        this.isProcessing = true;
+        try {
+            const request = {
+                specialEventId: this.recordId,
+                defaultSettlementType: this.defaultSettlementType || null,
+                reasonLost: String(this.reasonLost || '').trim(),
+                cancelComments: this.cancelComments,
+                rows: this.selectedRows.map((row) => ({
+                    attendeeId: row.attendeeId,
+                    settlementType: row.settlementType || null
+                }))
+            };
+            this.jobId = await startProgramCancellation({ request });
+            this.jobStatus = null;
+            this.currentStep = '3';
+            this.stopPolling = poll(() => this.refreshStatus());
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Resolves true once polling should stop: the job finished or its status could not be read
+    async refreshStatus() {
+        try {
+            this.jobStatus = await getProgramCancellationStatus({ jobId: this.jobId });
+        } catch (error) {
+            this.showToast('Error', 'Failed to load cancellation status: ' + this.extractErrorMessage(error), 'error');
+            return true;
+        }
+
+        if (this.isJobComplete) {
+            const variant = this.failureCount > 0 ? 'warning' : 'success';
+            this.showToast(
+                'Program Cancellation Complete',
+                `${this.successCount} cancelled, ${this.failureCount} failed.`,
+                variant
+            );
+            return true;
+        }
+        return false;
+    }
+
+    // ═══════════════ NAVIGATION ═══════════════
+
+    get showFooter() { return !this.isStep3; }
+    get showBackButton() { return this.isStep2; }
+
+    get disableNext() {
+        return this.isProcessing || this.selectedCount === 0;
+    }
+
+    get disableStart() {
+        return this.isProcessing
+            || !String(this.reasonLost || '').trim()
+            || (this.needsDefaultSettlement && !this.defaultSettlementType);
+    }
+
+    handleNext() {
+        if (this.selectedCount === 0) {
+            this.showToast('Error', 'Select at least one registration to cancel.', 'error');
+            return;
+        }
+        this.currentStep = '2';
+    }
+
+    handleBack() {
+        this.currentStep = '1';
+    }
+
+    handleClose() {
+        this.stopPolling?.();
+        this.dispatchEvent(new CloseActionScreenEvent());
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
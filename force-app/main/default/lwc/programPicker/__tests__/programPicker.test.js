@@ -0,0 +1,152 @@
+import { createElement } from 'lwc';
+import ProgramPicker from 'c/programPicker';
+import searchPrograms from '@salesforce/apex/TransferRegistrationController.searchPrograms';
+
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.searchPrograms',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const PROGRAMS = [
+    { Id: 'a0X000000000001AAA', Name: 'Women in Leadership 2026', Program_Code__c: 'WIL', Program_Acronym__c: 'WIL', Expected_Program_Fee__c: 9950 },
+    { Id: 'a0X000000000002AAA', Name: 'Leading Strategic Growth', Program_Code__c: 'LSG', Program_Acronym__c: 'LSG', Expected_Program_Fee__c: 12500, CurrencyIsoCode: 'EUR' }
+];
+
+const SEATS = {
+    a0X000000000001AAA: { capacity: 30, registeredCount: 30, seatsRemaining: 0, isFull: true },
+    a0X000000000002AAA: { capacity: null, registeredCount: 12, seatsRemaining: null, isFull: false }
+};
+
+// Lets the search promises and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent(props = {}) {
+    const element = createElement('c-program-picker', { is: ProgramPicker });
+    Object.assign(element, { programs: PROGRAMS, currencyCode: 'USD' }, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+async function search(element, term) {
+    const input = element.shadowRoot.querySelector('lightning-input');
+    input.value = term;
+    input.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+}
+
+describe('c-program-picker', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('filters the programs passed in by name, code or acronym', async () => {
+        const element = createComponent();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+
+        await search(element, 'lsg');
+
+        const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(rows.map((row) => row.Id)).toEqual(['a0X000000000002AAA']);
+        // Each program's fee is shown in its own currency, the picker's otherwise
+        expect(rows[0].currencyCode).toBe('EUR');
+
+        await search(element, 'leader');
+        expect(element.shadowRoot.querySelector('lightning-datatable').data[0].currencyCode).toBe('USD');
+    });
+
+    it('says so when nothing matches', async () => {
+        const element = createComponent();
+        await search(element, 'MBA');
+
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        expect(element.shadowRoot.textContent).toContain('No programs found matching "MBA"');
+    });
+
+    it('fires programselect with the program as it was passed in', async () => {
+        const element = createComponent();
+        const selectHandler = jest.fn();
+        element.addEventListener('programselect', selectHandler);
+        await search(element, 'WIL');
+
+        const table = element.shadowRoot.querySelector('lightning-datatable');
+        table.dispatchEvent(new CustomEvent('rowselection', { detail: { selectedRows: [table.data[0]] } }));
+
+        expect(selectHandler).toHaveBeenCalledTimes(1);
+        expect(selectHandler.mock.calls[0][0].detail).toEqual({ program: PROGRAMS[0], seatAvailability: null });
+    });
+
+    describe('with server search', () => {
+        function searchRequest(call) {
+            return searchPrograms.mock.calls[call][0].request;
+        }
+
+        it('loads the first page on connect and searches again when a filter changes', async () => {
+            searchPrograms.mockResolvedValue({
+                programs: PROGRAMS,
+                seatAvailabilityByProgramId: SEATS,
+                totalCount: 2,
+                nextOffset: 2,
+                hasMore: false
+            });
+
+            const element = createComponent({ serverSearch: true, programs: [] });
+            await flushPromises();
+
+            expect(searchRequest(0)).toMatchObject({
+                searchTerm: '',
+                sortBy: 'evt__Start__c',
+                sortDirection: 'asc',
+                pageSize: 50,
+                offset: 0
+            });
+            expect(element.shadowRoot.textContent).toContain('Showing 2 of 2 programs');
+            const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+            expect(rows.map((row) => row.seatsLabel)).toEqual(['Full', 'Unlimited']);
+
+            element.shadowRoot.querySelector('lightning-combobox[data-field="programType"]').dispatchEvent(
+                new CustomEvent('change', { detail: { value: 'Custom' } })
+            );
+            await flushPromises();
+
+            expect(searchRequest(1)).toMatchObject({ programType: 'Custom', offset: 0 });
+        });
+
+        it('appends the next page on scroll', async () => {
+            searchPrograms
+                .mockResolvedValueOnce({ programs: [PROGRAMS[0]], totalCount: 2, nextOffset: 1, hasMore: true })
+                .mockResolvedValueOnce({ programs: [PROGRAMS[1]], totalCount: 2, nextOffset: 2, hasMore: false });
+            const element = createComponent({ serverSearch: true, programs: [] });
+            await flushPromises();
+
+            element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(new CustomEvent('loadmore'));
+            await flushPromises();
+
+            expect(searchRequest(1).offset).toBe(1);
+            const table = element.shadowRoot.querySelector('lightning-datatable');
+            expect(table.data.map((row) => row.Id)).toEqual(PROGRAMS.map((program) => program.Id));
+            expect(table.enableInfiniteLoading).toBe(false);
+        });
+
+        it('warns when the search fails', async () => {
+            searchPrograms.mockRejectedValue({ body: { message: 'Invalid sort field' } });
+            const element = createElement('c-program-picker', { is: ProgramPicker });
+            element.serverSearch = true;
+            const toastHandler = jest.fn();
+            element.addEventListener('lightning__showtoast', toastHandler);
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+                title: 'Program search failed',
+                message: 'Invalid sort field',
+                variant: 'error'
+            });
+            expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * @description  Program picker - search + single-select table of evt__Special_Event__c.
+ *               Shared by the Transfer path of transferRegistration (step 1) and the
+ *               programTransfer bulk wizard. Filters the programs passed in by the
+ *               parent and fires `programselect` with the chosen row (or null).
+ *               Programs in `enrolledProgramIds` are flagged in an Enrolled column, and
+ *               when `seatAvailability` (ProgramCapacityService.SeatAvailability keyed by
+ *               program Id) is passed, capacity columns are shown and full programs flagged.
+ *
+ *               With `server-search` set (Transfer step 1) the picker ignores `programs`
+ *               and pages through TransferRegistrationController.searchPrograms instead:
+ *               filters, sorting and the next page (infinite scroll) all run on the server,
+ *               and seat availability comes back with each page.
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { DEFAULT_CURRENCY } from 'c/currencyFormat';
+import searchPrograms from '@salesforce/apex/TransferRegistrationController.searchPrograms';
+
+const PAGE_SIZE = 50;
+
+const PROGRAM_TYPE_OPTIONS = [
+    { label: 'All program types', value: '' },
+    { label: 'Open Enrollment', value: 'Open Enrollment' },
+    { label: 'Custom', value: 'Custom' }
+];
+
+const PROGRAM_COLUMNS = [
+    { label: 'Program Name', fieldName: 'Name', type: 'text', sortable: true, wrapText: true, initialWidth: 250 },
+    { label: 'Code', fieldName: 'Program_Code__c', type: 'text', sortable: true, initialWidth: 120 },
+    { label: 'Acronym', fieldName: 'Program_Acronym__c', type: 'text', sortable: true, initialWidth: 90 },
+    { label: 'Start Date', fieldName: 'evt__Start__c', type: 'date', sortable: true, initialWidth: 110,
+        typeAttributes: { month: 'short', day: '2-digit', year: 'numeric' }
+    },
+    { label: 'End Date', fieldName: 'evt__End__c', type: 'date', sortable: true, initialWidth: 110,
+        typeAttributes: { month: 'short', day: '2-digit', year: 'numeric' }
+    },
+    { label: 'Expected Fee', fieldName: 'Expected_Program_Fee__c', type: 'currency', sortable: true, initialWidth: 120,
+        typeAttributes: { currencyCode: { fieldName: 'currencyCode' } }
+    }
+];
+
+const ENROLLED_COLUMN = {
+    label: 'Enrolled', fieldName: 'enrolledLabel', type: 'text', initialWidth: 150,
+    cellAttributes: { iconName: { fieldName: 'enrolledIcon' }, class: 'slds-text-color_error' }
+};
+
+const SEAT_COLUMNS = [
+    { label: 'Capacity', fieldName: 'capacityLabel', type: 'text', initialWidth: 90 },
+    { label: 'Registered', fieldName: 'registeredCount', type: 'number', initialWidth: 100,
+        cellAttributes: { alignment: 'left' }
+    },
+    { label: 'Seats Left', fieldName: 'seatsLabel', type: 'text', initialWidth: 110,
+        cellAttributes: { iconName: { fieldName: 'seatsIcon' }, class: { fieldName: 'seatsClass' } }
+    }
+];
+
+export default class ProgramPicker extends LightningElement {
+    @api programs = [];
+    @api selectedProgramId;
+    @api currencyCode;      // Used for programs without a CurrencyIsoCode (single-currency orgs)
+    @api enrolledProgramIds = [];   // Programs the participant already has an active registration in
+    @api seatAvailability;          // { programId: SeatAvailability }, optional
+    @api serverSearch = false;      // Page through searchPrograms instead of filtering `programs`
+    @api currentProgramId;          // Registration's program, for the "other runs" filter
+
+    @track programSearchTerm = '';
+    @track filteredPrograms = [];
+
+    // Server search state
+    @track filters = { startDateFrom: null, startDateTo: null, eeProgramId: null, programType: '', otherRunsOnly: false };
+    @track serverSeats = {};
+    sortedBy = 'evt__Start__c';
+    sortedDirection = 'asc';
+    totalCount = 0;
+    nextOffset = 0;
+    hasMorePrograms = false;
+    isLoadingPrograms = false;
+    searchSequence = 0;             // Drops responses to searches that have since been replaced
+
+    programTypeOptions = PROGRAM_TYPE_OPTIONS;
+
+    get programColumns() {
+        const columns = this.seatMap ? [...PROGRAM_COLUMNS, ...SEAT_COLUMNS] : PROGRAM_COLUMNS;
+        return this.hasEnrolledPrograms ? [...columns, ENROLLED_COLUMN] : columns;
+    }
+
+    get seatMap() {
+        return this.serverSearch ? this.serverSeats : this.seatAvailability;
+    }
+
+    get hasCurrentProgram() {
+        return !!this.currentProgramId;
+    }
+
+    get resultSummary() {
+        return `Showing ${this.filteredPrograms.length} of ${this.totalCount} programs`;
+    }
+
+    get hasEnrolledPrograms() {
+        return !!this.enrolledProgramIds && this.enrolledProgramIds.length > 0;
+    }
+
+    connectedCallback() {
+        if (this.serverSearch) {
+            this.runSearch();
+            return;
+        }
+        // Coming back to the step: keep the current selection visible
+        if (this.selectedProgramId) {
+            this.filteredPrograms = (this.programs || []).filter(p => p.Id === this.selectedProgramId);
+        }
+    }
+
+    get selectedProgramRows() {
+        return this.selectedProgramId ? [this.selectedProgramId] : [];
+    }
+
+    // Expected Fee is shown in each program's own currency
+    get programRows() {
+        const fallback = this.currencyCode || DEFAULT_CURRENCY;
+        const enrolled = new Set(this.enrolledProgramIds || []);
+        return (this.filteredPrograms || []).map(p => ({
+            ...p,
+            ...this.seatFields(p.Id),
+            currencyCode: p.CurrencyIsoCode || fallback,
+            enrolledLabel: enrolled.has(p.Id) ? 'Already enrolled' : '',
+            enrolledIcon: enrolled.has(p.Id) ? 'utility:warning' : null
+        }));
+    }
+
+    // Blank capacity = unlimited
+    seatFields(programId) {
+        const seats = this.seatMap && this.seatMap[programId];
+        if (!seats) {
+            return {};
+        }
+        const limited = seats.capacity !== null && seats.capacity !== undefined;
+        let seatsLabel = 'Unlimited';
+        if (seats.isFull) {
+            seatsLabel = 'Full';
+        } else if (limited) {
+            seatsLabel = String(seats.seatsRemaining);
+        }
+        return {
+            capacityLabel: limited ? String(seats.capacity) : 'Unlimited',
+            registeredCount: seats.registeredCount,
+            seatsLabel,
+            seatsIcon: seats.isFull ? 'utility:warning' : null,
+            seatsClass: seats.isFull ? 'slds-text-color_error' : ''
+        };
+    }
+
+    get hasFilteredPrograms() {
+        return this.filteredPrograms && this.filteredPrograms.length > 0;
+    }
+
+    handleProgramSearch(event) {
+        this.programSearchTerm = event.target.value;
+        if (this.serverSearch) {
+            this.runSearch();
+            return;
+        }
+        if (!this.programSearchTerm || this.programSearchTerm.length < 2) {
+            this.filteredPrograms = [];
+            return;
+        }
+        const term = this.programSearchTerm.toLowerCase();
+        this.filteredPrograms = (this.programs || []).filter(p => {
+            return (p.Name && p.Name.toLowerCase().includes(term))
+                || (p.Program_Code__c && p.Program_Code__c.toLowerCase().includes(term))
+                || (p.Program_Acronym__c && p.Program_Acronym__c.toLowerCase().includes(term));
+        });
+    }
+
+    handleProgramSelect(event) {
+        const selectedRows = event.detail.selectedRows;
+        const row = selectedRows && selectedRows.length > 0 ? selectedRows[0] : null;
+        // Hand back the record as it came from the server, without the display-only fields
+        const program = row ? (this.filteredPrograms.find(p => p.Id === row.Id) || row) : null;
+        const seatAvailability = program && this.seatMap ? this.seatMap[program.Id] || null : null;
+        this.dispatchEvent(new CustomEvent('programselect', { detail: { program, seatAvailability } }));
+    }
+
+    // ═══════════════ SERVER SEARCH ═══════════════
+
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        this.filters = { ...this.filters, [field]: value };
+        this.runSearch();
+    }
+
+    handleFamilyChange(event) {
+        this.filters = { ...this.filters, eeProgramId: event.detail.recordId || null };
+        this.runSearch();
+    }
+
+    handleSort(event) {
+        this.sortedBy = event.detail.fieldName;
+        this.sortedDirection = event.detail.sortDirection;
+        if (this.serverSearch) {
+            this.runSearch();
+            return;
+        }
+        const direction = this.sortedDirection === 'asc' ? 1 : -1;
+        const field = this.sortedBy;
+        this.filteredPrograms = [...this.filteredPrograms].sort((a, b) => {
+            if (a[field] === b[field]) return 0;
+            if (a[field] === undefined || a[field] === null) return 1;
+            if (b[field] === undefined || b[field] === null) return -1;
+            return a[field] > b[field] ? direction : -direction;
+        });
+    }
+
+    handleLoadMore() {
+        if (this.hasMorePrograms && !this.isLoadingPrograms) {
+            this.loadPage(false);
+        }
+    }
+
+    // New filters or sort: start again from the first page
+    runSearch() {
+        this.nextOffset = 0;
+        this.loadPage(true);
+    }
+
+    async loadPage(reset) {
+        const sequence = ++this.searchSequence;
+        this.isLoadingPrograms = true;
+        try {
+            const result = await searchPrograms({
+                request: {
+                    searchTerm: this.programSearchTerm,
+                    startDateFrom: this.filters.startDateFrom || null,
+                    startDateTo: this.filters.startDateTo || null,
+                    eeProgramId: this.filters.eeProgramId,
+                    programType: this.filters.programType || null,
+                    otherRunsOfProgramId: this.filters.otherRunsOnly ? this.currentProgramId : null,
+                    sortBy: this.sortedBy,
+                    sortDirection: this.sortedDirection,
+                    pageSize: PAGE_SIZE,
+                    offset: reset ? 0 : this.nextOffset
+                }
+            });
+            if (sequence !== this.searchSequence) return;
+
+            const programs = result.programs || [];
+            this.filteredPrograms = reset ? programs : [...this.filteredPrograms, ...programs];
+            this.serverSeats = reset
+                ? { ...(result.seatAvailabilityByProgramId || {}) }
+                : { ...this.serverSeats, ...(result.seatAvailabilityByProgramId || {}) };
+            this.totalCount = result.totalCount || 0;
+            this.nextOffset = result.nextOffset || 0;
+            this.hasMorePrograms = !!result.hasMore;
+        } catch (error) {
+            if (sequence !== this.searchSequence) return;
+            this.hasMorePrograms = false;
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Program search failed',
+                message: error?.body?.message || error?.message || 'Unknown error',
+                variant: 'error'
+            }));
+        } finally {
+            if (sequence === this.searchSequence) {
+                this.isLoadingPrograms = false;
+            }
+        }
+    }
+}
@@ -0,0 +1,209 @@
+import { createElement } from 'lwc';
+import ProgramTransfer from 'c/programTransfer';
+import getProgramTransferData from '@salesforce/apex/ProgramTransferController.getProgramTransferData';
+import startProgramTransfer from '@salesforce/apex/ProgramTransferController.startProgramTransfer';
+import getProgramTransferStatus from '@salesforce/apex/ProgramTransferController.getProgramTransferStatus';
+import getProgramDetails from '@salesforce/apex/TransferRegistrationController.getProgramDetails';
+
+jest.mock(
+    '@salesforce/apex/ProgramTransferController.getProgramTransferData',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProgramTransferController.startProgramTransfer',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProgramTransferController.getProgramTransferStatus',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getProgramDetails',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+// The picker's own search is not under test here
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.searchPrograms',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const SOURCE_PROGRAM_ID = 'a0X000000000001AAA';
+const NEW_PROGRAM = {
+    Id: 'a0X000000000002AAA',
+    Name: 'LEAD 2026',
+    Program_Code__c: 'LEAD',
+    Expected_Program_Fee__c: 12500
+};
+
+const TRANSFER_DATA = {
+    sourceProgram: { Id: SOURCE_PROGRAM_ID, Name: 'WIL 2026' },
+    availablePrograms: [NEW_PROGRAM],
+    pricebook2Id: '01s000000000001AAA',
+    currencyIsoCode: 'USD',
+    attendees: [
+        { attendeeId: 'a01000000000001AAA', attendeeName: 'Jane Doe', paymentStatus: 'Paid', netAmount: 9950, discountAmount: 0, currencyIsoCode: 'USD' },
+        { attendeeId: 'a01000000000002AAA', attendeeName: 'John Smith', paymentStatus: 'Not Paid', netAmount: 9950, discountAmount: 0, currencyIsoCode: 'USD' }
+    ]
+};
+
+// Lets the Apex promises and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent() {
+    const element = createElement('c-program-transfer', { is: ProgramTransfer });
+    element.recordId = SOURCE_PROGRAM_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+function button(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find((b) => b.label === label);
+}
+
+async function selectProgram(element, program) {
+    element.shadowRoot.querySelector('c-program-picker').dispatchEvent(
+        new CustomEvent('programselect', { detail: { program, seatAvailability: null } })
+    );
+    await flushPromises();
+}
+
+describe('c-program-transfer', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('passes the available programs to the picker', async () => {
+        getProgramTransferData.mockResolvedValue(TRANSFER_DATA);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getProgramTransferData).toHaveBeenCalledWith({ specialEventId: SOURCE_PROGRAM_ID });
+        const picker = element.shadowRoot.querySelector('c-program-picker');
+        expect(picker.programs).toEqual([NEW_PROGRAM]);
+        expect(picker.currencyCode).toBe('USD');
+        expect(button(element, 'Next').disabled).toBe(true);
+    });
+
+    it('shows the error when the program cannot be loaded', async () => {
+        getProgramTransferData.mockRejectedValue({ body: { message: 'Program not found' } });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-alert_error h2').textContent).toBe('Program not found');
+        expect(element.shadowRoot.querySelector('c-program-picker')).toBeNull();
+    });
+
+    it('refuses a program priced in another currency', async () => {
+        getProgramTransferData.mockResolvedValue(TRANSFER_DATA);
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectProgram(element, { ...NEW_PROGRAM, CurrencyIsoCode: 'EUR' });
+        button(element, 'Next').click();
+        await flushPromises();
+
+        expect(getProgramDetails).not.toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.message).toContain('priced in EUR but this program is in USD');
+    });
+
+    it('starts the run with the policy and row exceptions and shows the results', async () => {
+        getProgramTransferData.mockResolvedValue(TRANSFER_DATA);
+        getProgramDetails.mockResolvedValue({
+            program: NEW_PROGRAM,
+            expectedProgramFee: 12500,
+            transferFeePBE: { UnitPrice: 500 }
+        });
+        startProgramTransfer.mockResolvedValue('a0Y000000000001AAA');
+        getProgramTransferStatus.mockResolvedValue({
+            isComplete: true,
+            totalItems: 2,
+            itemsProcessed: 2,
+            successCount: 2,
+            failureCount: 0,
+            results: [
+                { attendeeId: 'a01000000000001AAA', attendeeName: 'Jane Doe', status: 'Succeeded', newOpportunityId: '006000000000009AAA', newOpportunityName: 'Doe - LEAD' },
+                { attendeeId: 'a01000000000002AAA', attendeeName: 'John Smith', status: 'Succeeded', newOpportunityId: '006000000000010AAA', newOpportunityName: 'Smith - LEAD' }
+            ]
+        });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectProgram(element, NEW_PROGRAM);
+        button(element, 'Next').click();
+        await flushPromises();
+
+        expect(getProgramDetails).toHaveBeenCalledWith({
+            specialEventId: NEW_PROGRAM.Id,
+            pricebook2Id: TRANSFER_DATA.pricebook2Id
+        });
+        // Waive the transfer fee for the second registration
+        const transferFeeOverride = element.shadowRoot.querySelector(
+            'lightning-input[data-id="a01000000000002AAA"][data-field="transferFeeOverride"]'
+        );
+        transferFeeOverride.dispatchEvent(new CustomEvent('change', { detail: { value: '0' } }));
+        await flushPromises();
+        button(element, 'Transfer Registrations').click();
+        await flushPromises();
+
+        expect(startProgramTransfer).toHaveBeenCalledWith({
+            request: {
+                sourceSpecialEventId: SOURCE_PROGRAM_ID,
+                newSpecialEventId: NEW_PROGRAM.Id,
+                newProgramFeeAmount: 12500,
+                applyTransferFee: true,
+                transferFeeAmount: 500,
+                applyDiscount: true,
+                regChangeComments: '',
+                rows: [
+                    { attendeeId: 'a01000000000001AAA' },
+                    { attendeeId: 'a01000000000002AAA', applyTransferFee: false, transferFeeAmount: 0 }
+                ]
+            }
+        });
+        expect(getProgramTransferStatus).toHaveBeenCalledWith({ runId: 'a0Y000000000001AAA' });
+        const links = Array.from(element.shadowRoot.querySelectorAll('a.result-link'));
+        expect(links.map((link) => link.textContent)).toEqual(['Doe - LEAD', 'Smith - LEAD']);
+        expect(links[0].href).toContain('/lightning/r/Opportunity/006000000000009AAA/view');
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Program Transfer Complete',
+            variant: 'success'
+        });
+    });
+
+    it('stays on the policy step when the run cannot be started', async () => {
+        getProgramTransferData.mockResolvedValue(TRANSFER_DATA);
+        getProgramDetails.mockResolvedValue({ program: NEW_PROGRAM, expectedProgramFee: 12500 });
+        startProgramTransfer.mockRejectedValue({ body: { message: 'Another transfer is already running' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectProgram(element, NEW_PROGRAM);
+        button(element, 'Next').click();
+        await flushPromises();
+        button(element, 'Transfer Registrations').click();
+        await flushPromises();
+
+        expect(getProgramTransferStatus).not.toHaveBeenCalled();
+        expect(button(element, 'Transfer Registrations')).toBeDefined();
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            message: 'Another transfer is already running',
+            variant: 'error'
+        });
+    });
+});
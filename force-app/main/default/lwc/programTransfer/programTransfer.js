@@ -0,0 +1,367 @@
+/**
+ * @description  Program Transfer LWC - Quick Action on evt__Special_Event__c
+ *               Moves every selected registration on a rescheduled program run
+ *               to a new run with one fee/discount policy and per-attendee exceptions.
+ *               Step 1: Select Program (shared c-program-picker)
+ *               Step 2: Fee Policy + Registrations (per-row exceptions)
+ *               Step 3: Processing → results (ProgramTransferQueueable)
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { CloseActionScreenEvent } from 'lightning/actions';
+import { formatCurrency, DEFAULT_CURRENCY } from 'c/currencyFormat';
+import { poll } from 'c/poller';
+
+import getProgramTransferData from '@salesforce/apex/ProgramTransferController.getProgramTransferData';
+import startProgramTransfer from '@salesforce/apex/ProgramTransferController.startProgramTransfer';
+import getProgramTransferStatus from '@salesforce/apex/ProgramTransferController.getProgramTransferStatus';
+import getProgramDetails from '@salesforce/apex/TransferRegistrationController.getProgramDetails';
+
+// Per-row discount exception: blank follows the policy toggle
+const ROW_DISCOUNT_OPTIONS = [
+    { label: 'Use Policy', value: '' },
+    { label: 'Carry Over', value: 'yes' },
+    { label: 'Drop', value: 'no' }
+];
+
+
+export default class ProgramTransfer extends LightningElement {
+    @api recordId; // Special Event Id (program being rescheduled) from Quick Action
+
+    // ═══════════════ STATE ═══════════════
+    @track currentStep = '1';
+    @track isLoading = true;
+    @track isProcessing = false;
+    @track hasError = false;
+    @track errorMessage = '';
+
+    @track sourceProgram = null;
+    @track availablePrograms = [];
+    @track attendeeRows = [];
+    pricebook2Id = null;
+    currencyCode = DEFAULT_CURRENCY;     // Source program's currency
+
+    // Step 1 - Target program
+    @track selectedProgram = null;
+    @track programDetails = null;
+
+    // Step 2 - Policy
+    @track newProgramFeeAmount = 0;
+    @track applyTransferFee = true;
+    @track transferFeeAmount = 0;
+    @track applyDiscount = true;
+    @track regChangeComments = '';
+
+    // Step 3 - Run status
+    @track runId = null;
+    @track runStatus = null;
+
+    rowDiscountOptions = ROW_DISCOUNT_OPTIONS;
+    stopPolling;
+
+    // ═══════════════ LIFECYCLE ═══════════════
+
+    connectedCallback() {
+        this.loadSourceData();
+    }
+
+    disconnectedCallback() {
+        this.stopPolling?.();
+    }
+
+    async loadSourceData() {
+        this.isLoading = true;
+        this.hasError = false;
+        try {
+            const data = await getProgramTransferData({ specialEventId: this.recordId });
+            this.sourceProgram = data.sourceProgram;
+            this.availablePrograms = data.availablePrograms || [];
+            this.pricebook2Id = data.pricebook2Id;
+            this.currencyCode = data.currencyIsoCode || DEFAULT_CURRENCY;
+            this.attendeeRows = (data.attendees || []).map((row) => ({
+                ...row,
+                selected: true,
+                feeOverride: null,
+                transferFeeOverride: null,
+                discountOverride: '',
+                formattedNetAmount: formatCurrency(row.netAmount, row.currencyIsoCode),
+                formattedDiscountAmount: formatCurrency(row.discountAmount, row.currencyIsoCode)
+            }));
+        } catch (error) {
+            this.hasError = true;
+            this.errorMessage = this.extractErrorMessage(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ STEP GETTERS ═══════════════
+
+    get isReady() { return !this.isLoading && !this.hasError; }
+    get isStep1() { return this.currentStep === '1'; }
+    get isStep2() { return this.currentStep === '2'; }
+    get isStep3() { return this.currentStep === '3'; }
+
+    get sourceProgramName() { return this.sourceProgram?.Name || ''; }
+
+    get attendeeCount() { return this.attendeeRows.length; }
+    get hasAttendees() { return this.attendeeCount > 0; }
+
+    get selectedRows() {
+        return this.attendeeRows.filter((row) => row.selected);
+    }
+
+    get selectedCount() { return this.selectedRows.length; }
+
+    get allSelected() {
+        return this.hasAttendees && this.selectedCount === this.attendeeRows.length;
+    }
+
+    // ═══════════════ STEP 1: TARGET PROGRAM ═══════════════
+
+    get selectedProgramId() {
+        return this.selectedProgram?.Id;
+    }
+
+    get selectedProgramStartDate() {
+        if (!this.selectedProgram?.evt__Start__c) return '';
+        return new Date(this.selectedProgram.evt__Start__c).toLocaleDateString('en-US', {
+            month: 'short', day: '2-digit', year: 'numeric'
+        });
+    }
+
+    get formattedExpectedFee() {
+        const fee = this.selectedProgram?.Expected_Program_Fee__c
+            || this.programDetails?.expectedProgramFee || 0;
+        return formatCurrency(fee, this.selectedProgramCurrency);
+    }
+
+    // Currency the selected program is priced in (only returned by multi-currency orgs)
+    get selectedProgramCurrency() {
+        return this.selectedProgram?.CurrencyIsoCode || this.currencyCode;
+    }
+
+    // Amount inputs use formatter="decimal": lightning-input's currency symbol follows the user's locale
+    get newProgramFeeLabel() { return `New Program Fee (${this.currencyCode})`; }
+    get transferFeeLabel() { return `Transfer Fee Amount (${this.currencyCode})`; }
+
+    handleProgramSelect(event) {
+        this.selectedProgram = event.detail.program;
+        this.programDetails = null;
+    }
+
+    async loadProgramDetails() {
+        this.isLoading = true;
+        try {
+            this.programDetails = await getProgramDetails({
+                specialEventId: this.selectedProgram.Id,
+                pricebook2Id: this.pricebook2Id
+            });
+
+            this.newProgramFeeAmount = this.programDetails?.expectedProgramFee
+                || this.selectedProgram.Expected_Program_Fee__c || 0;
+
+            if (this.programDetails?.transferFeePBE) {
+                this.transferFeeAmount = this.programDetails.transferFeePBE.UnitPrice || 0;
+            }
+        } catch (error) {
+            this.showToast('Error', 'Failed to load program details: ' + this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ STEP 2: POLICY + EXCEPTIONS ═══════════════
+
+    handleFeeChange(event) {
+        this.newProgramFeeAmount = event.target.value;
+    }
+
+    handleTransferFeeToggle(event) {
+        this.applyTransferFee = event.target.checked;
+    }
+
+    handleTransferFeeAmountChange(event) {
+        this.transferFeeAmount = event.target.value;
+    }
+
+    handleDiscountToggle(event) {
+        this.applyDiscount = event.target.checked;
+    }
+
+    handleCommentsChange(event) {
+        this.regChangeComments = event.target.value;
+    }
+
+    handleSelectAll(event) {
+        const checked = event.target.checked;
+        this.attendeeRows = this.attendeeRows.map((row) => ({ ...row, selected: checked }));
+    }
+
+    handleRowChange(event) {
+        const attendeeId = event.target.dataset.id;
+        const field = event.target.dataset.field;
+        const value = field === 'selected' ? event.target.checked : event.detail.value;
+        this.attendeeRows = this.attendeeRows.map((row) =>
+            (row.attendeeId === attendeeId ? { ...row, [field]: value } : row)
+        );
+    }
+
+    // Blank override inputs fall back to the policy on the server
+    buildRowSelection(row) {
+        const selection = { attendeeId: row.attendeeId };
+        if (row.feeOverride !== null && row.feeOverride !== '') {
+            selection.newProgramFeeAmount = Number(row.feeOverride);
+        }
+        if (row.transferFeeOverride !== null && row.transferFeeOverride !== '') {
+            const fee = Number(row.transferFeeOverride);
+            selection.applyTransferFee = fee > 0;
+            selection.transferFeeAmount = fee;
+        }
+        if (row.discountOverride) {
+            selection.applyDiscount = row.discountOverride === 'yes';
+        }
+        return selection;
+    }
+
+    // ═══════════════ STEP 3: PROCESSING + RESULTS ═══════════════
+
+    get isRunComplete() { return this.runStatus?.isComplete === true; }
+
+    get progressValue() {
+        const total = this.runStatus?.totalItems || 0;
+        return total > 0 ? Math.round(((this.runStatus.itemsProcessed || 0) / total) * 100) : 0;
+    }
+
+    get progressLabel() {
+        if (!this.runStatus) return 'Starting…';
+        return `${this.runStatus.itemsProcessed || 0} of ${this.runStatus.totalItems || 0} processed`;
+    }
+
+    get resultRows() {
+        return (this.runStatus?.results || []).map((row) => ({
+            ...row,
+            statusClass: row.status === 'Succeeded'
+                ? 'slds-text-color_success'
+                : (row.status === 'Failed' ? 'slds-text-color_error' : ''),
+            newOppUrl: row.newOpportunityId ? `/lightning/r/Opportunity/${row.newOpportunityId}/view` : null,
+            newAttendeeUrl: row.newAttendeeId ? `/lightning/r/evt__Attendee__c/${row.newAttendeeId}/view` : null
+        }));
+    }
+
+    get hasResults() { return this.resultRows.length > 0; }
+
+    get successCount() { return this.runStatus?.successCount || 0; }
+    get failureCount() { return this.runStatus?.failureCount || 0; }
+
+    async handleStart() {
+        this.isProcessing = true;
+        try {
+            const request = {
+                sourceSpecialEventId: this.recordId,
+                newSpecialEventId: this.selectedProgram.Id,
+                newProgramFeeAmount: Number(this.newProgramFeeAmount) || 0,
+                applyTransferFee: this.applyTransferFee,
+                transferFeeAmount: this.applyTransferFee ? Number(this.transferFeeAmount) : 0,
+                applyDiscount: this.applyDiscount,
+                regChangeComments: this.regChangeComments || '',
+                rows: this.selectedRows.map((row) => this.buildRowSelection(row))
+            };
+            this.runId = await startProgramTransfer({ request });
+            this.runStatus = null;
+            this.currentStep = '3';
+            this.stopPolling = poll(() => this.refreshStatus());
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Resolves true once polling should stop: the run finished or its status could not be read
+    async refreshStatus() {
+        try {
+            this.runStatus = await getProgramTransferStatus({ runId: this.runId });
+        } catch (error) {
+            this.showToast('Error', 'Failed to load transfer status: ' + this.extractErrorMessage(error), 'error');
+            return true;
+        }
+
+        if (this.isRunComplete) {
+            const variant = this.failureCount > 0 ? 'warning' : 'success';
+            this.showToast(
+                'Program Transfer Complete',
+                `${this.successCount} transferred, ${this.failureCount} failed.`,
+                variant
+            );
+            return true;
+        }
+        return false;
+    }
+
+    // ═══════════════ NAVIGATION ═══════════════
+
+    get showFooter() { return !this.isStep3; }
+    get showBackButton() { return this.isStep2; }
+
+    get disableNext() {
+        return this.isProcessing || !this.selectedProgram;
+    }
+
+    get disableStart() {
+        return this.isProcessing || this.selectedCount === 0;
+    }
+
+    async handleNext() {
+        if (!this.selectedProgram) {
+            this.showToast('Error', 'Please select a program to transfer to.', 'error');
+            return;
+        }
+        if (this.selectedProgramCurrency !== this.currencyCode) {
+            this.showToast(
+                'Error',
+                `${this.selectedProgram.Name} is priced in ${this.selectedProgramCurrency} but this program is in ${this.currencyCode}. Transfers between currencies are not supported.`,
+                'error'
+            );
+            return;
+        }
+        if (!this.programDetails || this.programDetails.program?.Id !== this.selectedProgram.Id) {
+            await this.loadProgramDetails();
+        }
+        this.currentStep = '2';
+    }
+
+    handleBack() {
+        this.currentStep = '1';
+    }
+
+    handleStartClick() {
+        if (this.newProgramFeeAmount === null || this.newProgramFeeAmount === undefined || this.newProgramFeeAmount === '') {
+            this.showToast('Validation Error', 'Please enter the new program fee amount.', 'error');
+            return;
+        }
+        if (Number(this.newProgramFeeAmount) < 0) {
+            this.showToast('Validation Error', 'Program fee amount cannot be negative.', 'error');
+            return;
+        }
+        this.handleStart();
+    }
+
+    handleClose() {
+        this.stopPolling?.();
+        this.dispatchEvent(new CloseActionScreenEvent());
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
@@ -0,0 +1,137 @@
+import { createElement } from 'lwc';
+import RegistrationChangeHistory from 'c/registrationChangeHistory';
+import getChangeHistory from '@salesforce/apex/RegistrationChangeLogController.getChangeHistory';
+
+jest.mock(
+    '@salesforce/apex/RegistrationChangeLogController.getChangeHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const ATTENDEE_ID = 'a01000000000001AAA';
+
+const TRANSFER_ENTRY = {
+    id: 'a0Z000000000001AAA',
+    changeType: 'Transfer',
+    status: 'Succeeded',
+    createdDate: '2026-03-02T15:30:00.000Z',
+    processedByName: 'Pat Registrar',
+    opportunityId: '006000000000001AAA',
+    opportunityName: 'Doe - WIL',
+    newOpportunityId: '006000000000002AAA',
+    newOpportunityName: 'Doe - LEAD',
+    newAttendeeId: 'a01000000000002AAA',
+    newAttendeeName: 'Jane Doe',
+    amountBefore: 9950,
+    amountAfter: 0,
+    newOpportunityAmount: 12500,
+    currencyIsoCode: 'USD',
+    requestOptions: [{ name: 'settlementType', value: 'Unapplied Funds' }]
+};
+
+const FAILED_ENTRY = {
+    id: 'a0Z000000000002AAA',
+    changeType: 'Cancellation',
+    status: 'Failed',
+    createdDate: '2026-03-01T15:30:00.000Z',
+    processedByName: 'Pat Registrar',
+    errorMessage: 'Reason Lost is required.',
+    currencyIsoCode: 'USD'
+};
+
+const PENDING_ENTRY = {
+    id: 'a0Z000000000003AAA',
+    changeType: 'Cancellation',
+    status: 'Pending Approval',
+    createdDate: '2026-03-03T15:30:00.000Z',
+    processedByName: 'Pat Registrar',
+    currencyIsoCode: 'USD'
+};
+
+// Lets the Apex promise and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent() {
+    const element = createElement('c-registration-change-history', { is: RegistrationChangeHistory });
+    element.recordId = ATTENDEE_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+function titles(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('h3 strong')).map((title) => title.textContent);
+}
+
+describe('c-registration-change-history', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the record changes, flagging failed attempts', async () => {
+        getChangeHistory.mockResolvedValue([TRANSFER_ENTRY, FAILED_ENTRY]);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getChangeHistory).toHaveBeenCalledWith({ recordId: ATTENDEE_ID });
+        expect(element.shadowRoot.querySelector('lightning-card').title).toBe('Registration Change History (2)');
+        expect(titles(element)).toEqual(['Transfer', 'Cancellation (failed)']);
+        const badges = Array.from(element.shadowRoot.querySelectorAll('lightning-badge')).map((badge) => badge.label);
+        expect(badges).toEqual(['Failed']);
+        expect(element.shadowRoot.querySelector('article')).toBeNull();
+    });
+
+    it('flags a change held for finance approval', async () => {
+        getChangeHistory.mockResolvedValue([PENDING_ENTRY]);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(titles(element)).toEqual(['Cancellation (pending approval)']);
+        expect(element.shadowRoot.querySelector('lightning-badge').label).toBe('Pending Approval');
+    });
+
+    it('expands an entry to its amounts, new records and options', async () => {
+        getChangeHistory.mockResolvedValue([TRANSFER_ENTRY]);
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector(`lightning-button-icon[data-id="${TRANSFER_ENTRY.id}"]`).click();
+        await flushPromises();
+
+        const details = element.shadowRoot.querySelector('article');
+        expect(details.textContent).toContain('$9,950.00');
+        expect(details.textContent).toContain('$12,500.00');
+        const links = Array.from(details.querySelectorAll('a')).map((link) => link.textContent);
+        expect(links).toEqual(['Doe - LEAD', 'Jane Doe']);
+        expect(details.querySelector('dt').textContent).toBe('Settlement Type');
+        expect(details.querySelector('dd').textContent).toBe('Unapplied Funds');
+    });
+
+    it('shows the error when the history cannot be loaded', async () => {
+        getChangeHistory.mockRejectedValue({ body: { message: 'Insufficient access to Registration Change Log' } });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-text-color_error').textContent)
+            .toBe('Insufficient access to Registration Change Log');
+        expect(element.shadowRoot.querySelector('.slds-timeline')).toBeNull();
+    });
+
+    it('reloads on refresh', async () => {
+        getChangeHistory.mockResolvedValueOnce([]).mockResolvedValueOnce([TRANSFER_ENTRY]);
+        const element = createComponent();
+        await flushPromises();
+        expect(element.shadowRoot.textContent).toContain('No registration changes have been processed');
+
+        element.shadowRoot.querySelector('lightning-button-icon[title="Refresh"]').click();
+        await flushPromises();
+
+        expect(getChangeHistory).toHaveBeenCalledTimes(2);
+        expect(titles(element)).toEqual(['Transfer']);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * @description  Registration Change History LWC - evt__Attendee__c and Opportunity record pages
+ *               Timeline of the Registration_Change_Log__c rows written by every
+ *               Transfer Registration execute (transfer, cancellation, substitution,
+ *               reversal, waitlist promotion), including failed attempts and changes held
+ *               for finance approval. Each entry expands to the
+ *               amounts before/after, the records created and the options chosen.
+ */
+import { LightningElement, api, track } from 'lwc';
+import { formatCurrency } from 'c/currencyFormat';
+
+import getChangeHistory from '@salesforce/apex/RegistrationChangeLogController.getChangeHistory';
+
+const CHANGE_TYPE_ICONS = {
+    Transfer: 'standard:change_request',
+    Cancellation: 'standard:cancel_checkout',
+    Substitution: 'standard:contact',
+    Reversal: 'standard:return_order',
+    'Waitlist Promotion': 'standard:queue'
+};
+
+const STATUS_FAILED = 'Failed';
+const STATUS_PENDING_APPROVAL = 'Pending Approval';
+
+export default class RegistrationChangeHistory extends LightningElement {
+    @api recordId;
+
+    // ═══════════════ STATE ═══════════════
+    @track entries = [];
+    @track expandedIds = [];
+    @track isLoading = true;
+    @track hasError = false;
+    @track errorMessage = '';
+
+    // ═══════════════ LIFECYCLE ═══════════════
+
+    connectedCallback() {
+        this.loadHistory();
+    }
+
+    async loadHistory() {
+        this.isLoading = true;
+        this.hasError = false;
+        try {
+            const entries = await getChangeHistory({ recordId: this.recordId });
+            this.entries = entries || [];
+        } catch (error) {
+            this.hasError = true;
+            this.errorMessage = this.extractErrorMessage(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ GETTERS ═══════════════
+
+    get cardTitle() {
+        return `Registration Change History (${this.entries.length})`;
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasEntries;
+    }
+
+    get timelineItems() {
+        return this.entries.map((entry) => {
+            const isExpanded = this.expandedIds.includes(entry.id);
+            const isFailed = entry.status === STATUS_FAILED;
+            const isPendingApproval = entry.status === STATUS_PENDING_APPROVAL;
+            const code = entry.currencyIsoCode;
+            return {
+                ...entry,
+                isExpanded,
+                isFailed,
+                isPendingApproval,
+                iconName: CHANGE_TYPE_ICONS[entry.changeType] || 'standard:record',
+                itemClass: 'slds-timeline__item_expandable' + (isExpanded ? ' slds-is-open' : ''),
+                toggleIcon: isExpanded ? 'utility:chevrondown' : 'utility:chevronright',
+                title: entry.changeType + (isFailed ? ' (failed)' : '') + (isPendingApproval ? ' (pending approval)' : ''),
+                createdDateFormatted: new Date(entry.createdDate).toLocaleString('en-US', {
+                    year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+                }),
+                logUrl: `/lightning/r/Registration_Change_Log__c/${entry.id}/view`,
+                opportunityUrl: entry.opportunityId ? `/lightning/r/Opportunity/${entry.opportunityId}/view` : null,
+                newOpportunityUrl: entry.newOpportunityId ? `/lightning/r/Opportunity/${entry.newOpportunityId}/view` : null,
+                newAttendeeUrl: entry.newAttendeeId ? `/lightning/r/evt__Attendee__c/${entry.newAttendeeId}/view` : null,
+                newRecordsLabel: entry.changeType === 'Reversal' ? 'Closed' : 'Created',
+                hasAmounts: entry.amountBefore != null || entry.amountAfter != null,
+                amountBeforeFormatted: formatCurrency(entry.amountBefore, code),
+                amountAfterFormatted: formatCurrency(entry.amountAfter, code),
+                hasNewOpportunityAmount: entry.newOpportunityAmount != null,
+                newOpportunityAmountFormatted: formatCurrency(entry.newOpportunityAmount, code),
+                options: (entry.requestOptions || []).map((option) => ({
+                    ...option,
+                    label: this.toLabel(option.name),
+                    valueKey: option.name + '-value'
+                })),
+                hasOptions: (entry.requestOptions || []).length > 0
+            };
+        });
+    }
+
+    // ═══════════════ HANDLERS ═══════════════
+
+    handleToggle(event) {
+        const id = event.currentTarget.dataset.id;
+        this.expandedIds = this.expandedIds.includes(id)
+            ? this.expandedIds.filter((expandedId) => expandedId !== id)
+            : [...this.expandedIds, id];
+    }
+
+    handleRefresh() {
+        this.loadHistory();
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    // 'settlementType' → 'Settlement Type'
+    toLabel(name) {
+        const spaced = (name || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+        return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
@@ -0,0 +1,168 @@
+import { createElement } from 'lwc';
+import RegistrationRefundTracker from 'c/registrationRefundTracker';
+import getOpenRefundTasks from '@salesforce/apex/RegistrationRefundTrackerController.getOpenRefundTasks';
+import markRefundTasksProcessed from '@salesforce/apex/RegistrationRefundTrackerController.markRefundTasksProcessed';
+
+jest.mock(
+    '@salesforce/apex/RegistrationRefundTrackerController.getOpenRefundTasks',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RegistrationRefundTrackerController.markRefundTasksProcessed',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const REFUND_TASKS = [
+    {
+        id: '00T000000000001AAA',
+        subject: 'Process refund - Doe - WIL',
+        amount: 9950,
+        currencyIsoCode: 'USD',
+        paymentId: 'a0P000000000001AAA',
+        paymentName: 'PMT-0001',
+        opportunityId: '006000000000001AAA',
+        opportunityName: 'Doe - WIL',
+        ownerName: 'Finance Queue',
+        dueDate: '2026-03-01',
+        ageDays: 12,
+        isOverdue: true
+    },
+    {
+        id: '00T000000000002AAA',
+        subject: 'Process refund - Smith - WIL',
+        amount: 500,
+        currencyIsoCode: 'USD',
+        opportunityId: '006000000000002AAA',
+        opportunityName: 'Smith - WIL',
+        ownerName: 'Finance Queue',
+        dueDate: '2026-03-20',
+        ageDays: 2,
+        isOverdue: false
+    }
+];
+
+// Lets the Apex promises and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent() {
+    const element = createElement('c-registration-refund-tracker', { is: RegistrationRefundTracker });
+    document.body.appendChild(element);
+    return element;
+}
+
+function markProcessedButton(element) {
+    return element.shadowRoot.querySelector('lightning-button');
+}
+
+async function selectRows(element, rows) {
+    element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(
+        new CustomEvent('rowselection', { detail: { selectedRows: rows } })
+    );
+    await flushPromises();
+}
+
+describe('c-registration-refund-tracker', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the open refund tasks with their totals', async () => {
+        getOpenRefundTasks.mockResolvedValue(REFUND_TASKS);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-card').title).toBe('Registration Refunds (2)');
+        expect(element.shadowRoot.textContent).toContain('$10,450.00');
+        const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(rows[0]).toMatchObject({
+            amountFormatted: '$9,950.00',
+            paymentUrl: '/lightning/r/pymt__PaymentX__c/a0P000000000001AAA/view',
+            dueClass: 'slds-text-color_error'
+        });
+        // A transfer's refund payment may not exist yet
+        expect(rows[1]).toMatchObject({ paymentUrl: null, paymentLabel: 'Not yet created', dueClass: '' });
+        expect(markProcessedButton(element).disabled).toBe(true);
+    });
+
+    it('shows the error when the tasks cannot be loaded', async () => {
+        getOpenRefundTasks.mockRejectedValue({ body: { message: 'Insufficient access to Task' } });
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-text-color_error').textContent).toBe('Insufficient access to Task');
+        expect(element.shadowRoot.textContent).not.toContain('No refunds are waiting to be processed.');
+    });
+
+    it('says so when no refunds are open', async () => {
+        getOpenRefundTasks.mockResolvedValue([]);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('No refunds are waiting to be processed.');
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+    });
+
+    it('marks the selected tasks processed and reloads', async () => {
+        getOpenRefundTasks.mockResolvedValueOnce(REFUND_TASKS).mockResolvedValueOnce([REFUND_TASKS[1]]);
+        markRefundTasksProcessed.mockResolvedValue(1);
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectRows(element, [REFUND_TASKS[0]]);
+        expect(markProcessedButton(element).label).toBe('Mark Processed (1)');
+        markProcessedButton(element).click();
+        await flushPromises();
+
+        expect(markRefundTasksProcessed).toHaveBeenCalledWith({ taskIds: [REFUND_TASKS[0].id] });
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            message: '1 refund task completed.',
+            variant: 'success'
+        });
+        expect(getOpenRefundTasks).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('lightning-card').title).toBe('Registration Refunds (1)');
+        expect(markProcessedButton(element).label).toBe('Mark Processed');
+    });
+
+    it('reports tasks that were already closed by someone else', async () => {
+        getOpenRefundTasks.mockResolvedValue(REFUND_TASKS);
+        markRefundTasksProcessed.mockResolvedValue(1);
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectRows(element, REFUND_TASKS);
+        markProcessedButton(element).click();
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('1 refund task completed; 1 had already been closed.');
+    });
+
+    it('keeps the selection when marking fails', async () => {
+        getOpenRefundTasks.mockResolvedValue(REFUND_TASKS);
+        markRefundTasksProcessed.mockRejectedValue({ body: { message: 'Row locked' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        await selectRows(element, [REFUND_TASKS[0]]);
+        markProcessedButton(element).click();
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({ message: 'Row locked', variant: 'error' });
+        expect(getOpenRefundTasks).toHaveBeenCalledTimes(1);
+        expect(markProcessedButton(element).label).toBe('Mark Processed (1)');
+        expect(markProcessedButton(element).disabled).toBe(false);
+    });
+});
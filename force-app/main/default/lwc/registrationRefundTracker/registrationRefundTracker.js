@@ -0,0 +1,160 @@
+/**
+ * @description  Registration Refund Tracker LWC - app and home pages
+ *               Finance work list of the open refund-processing Tasks written by
+ *               registration transfers and cancellations, oldest due first, with the
+ *               payment, Opportunity, amount and age of each. Selected rows can be
+ *               marked processed together, which completes their Tasks.
+ */
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { formatCurrency } from 'c/currencyFormat';
+
+import getOpenRefundTasks from '@salesforce/apex/RegistrationRefundTrackerController.getOpenRefundTasks';
+import markRefundTasksProcessed from '@salesforce/apex/RegistrationRefundTrackerController.markRefundTasksProcessed';
+
+const COLUMNS = [
+    {
+        label: 'Task', fieldName: 'taskUrl', type: 'url',
+        typeAttributes: { label: { fieldName: 'subject' } }, wrapText: true
+    },
+    { label: 'Amount', fieldName: 'amountFormatted', cellAttributes: { alignment: 'right' }, initialWidth: 130 },
+    {
+        label: 'Payment', fieldName: 'paymentUrl', type: 'url',
+        typeAttributes: { label: { fieldName: 'paymentLabel' } }
+    },
+    {
+        label: 'Opportunity', fieldName: 'opportunityUrl', type: 'url',
+        typeAttributes: { label: { fieldName: 'opportunityName' } }, wrapText: true
+    },
+    { label: 'Owner', fieldName: 'ownerName' },
+    {
+        label: 'Due', fieldName: 'dueDate', type: 'date-local', initialWidth: 120,
+        cellAttributes: { class: { fieldName: 'dueClass' } }
+    },
+    { label: 'Age (days)', fieldName: 'ageDays', type: 'number', initialWidth: 110 }
+];
+
+export default class RegistrationRefundTracker extends LightningElement {
+    columns = COLUMNS;
+
+    // ═══════════════ STATE ═══════════════
+    @track refundTasks = [];
+    @track selectedIds = [];
+    @track isLoading = true;
+    @track isSaving = false;
+    @track hasError = false;
+    @track errorMessage = '';
+
+    // ═══════════════ LIFECYCLE ═══════════════
+
+    connectedCallback() {
+        this.loadRefundTasks();
+    }
+
+    async loadRefundTasks() {
+        this.isLoading = true;
+        this.hasError = false;
+        try {
+            const refundTasks = await getOpenRefundTasks();
+            this.refundTasks = refundTasks || [];
+            // Keep only selections that are still open
+            this.selectedIds = this.selectedIds.filter((id) => this.refundTasks.some((t) => t.id === id));
+        } catch (error) {
+            this.hasError = true;
+            this.errorMessage = this.extractErrorMessage(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ GETTERS ═══════════════
+
+    get cardTitle() {
+        return `Registration Refunds (${this.refundTasks.length})`;
+    }
+
+    get hasRefundTasks() {
+        return this.refundTasks.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasRefundTasks;
+    }
+
+    get rows() {
+        return this.refundTasks.map((refundTask) => ({
+            ...refundTask,
+            taskUrl: `/lightning/r/Task/${refundTask.id}/view`,
+            amountFormatted: formatCurrency(refundTask.amount, refundTask.currencyIsoCode),
+            paymentUrl: refundTask.paymentId ? `/lightning/r/pymt__PaymentX__c/${refundTask.paymentId}/view` : null,
+            paymentLabel: refundTask.paymentName || 'Not yet created',
+            opportunityUrl: refundTask.opportunityId ? `/lightning/r/Opportunity/${refundTask.opportunityId}/view` : null,
+            dueClass: refundTask.isOverdue ? 'slds-text-color_error' : ''
+        }));
+    }
+
+    get totalFormatted() {
+        // Totals are only meaningful in one currency
+        const codes = new Set(this.refundTasks.map((t) => t.currencyIsoCode));
+        if (codes.size !== 1) {
+            return '';
+        }
+        const total = this.refundTasks.reduce((sum, t) => sum + (t.amount || 0), 0);
+        return formatCurrency(total, [...codes][0]);
+    }
+
+    get overdueCount() {
+        return this.refundTasks.filter((t) => t.isOverdue).length;
+    }
+
+    get markProcessedLabel() {
+        return this.selectedIds.length > 0 ? `Mark Processed (${this.selectedIds.length})` : 'Mark Processed';
+    }
+
+    get isMarkProcessedDisabled() {
+        return this.selectedIds.length === 0 || this.isSaving;
+    }
+
+    // ═══════════════ HANDLERS ═══════════════
+
+    handleRowSelection(event) {
+        this.selectedIds = event.detail.selectedRows.map((row) => row.id);
+    }
+
+    handleRefresh() {
+        this.loadRefundTasks();
+    }
+
+    async handleMarkProcessed() {
+        this.isSaving = true;
+        try {
+            const processed = await markRefundTasksProcessed({ taskIds: this.selectedIds });
+            const skipped = this.selectedIds.length - processed;
+            this.showToast(
+                'Refunds Processed',
+                `${processed} refund ${processed === 1 ? 'task' : 'tasks'} completed`
+                    + (skipped > 0 ? `; ${skipped} had already been closed.` : '.'),
+                'success'
+            );
+            this.selectedIds = [];
+            await this.loadRefundTasks();
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
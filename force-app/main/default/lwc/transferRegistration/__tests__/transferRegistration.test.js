@@ -0,0 +1,214 @@
+import { createElement } from 'lwc';
+import TransferRegistration from 'c/transferRegistration';
+import getInitData from '@salesforce/apex/TransferRegistrationController.getInitData';
+import getCancellationReasonLostOptions from '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions';
+import getDraft from '@salesforce/apex/TransferRegistrationController.getDraft';
+import saveDraft from '@salesforce/apex/TransferRegistrationController.saveDraft';
+import discardDraft from '@salesforce/apex/TransferRegistrationController.discardDraft';
+import getChangeRequests from '@salesforce/apex/TransferRegistrationController.getChangeRequests';
+
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getInitData',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.saveDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.discardDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+// Loaded by the approval status panel on step 0
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getChangeRequests',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const ATTENDEE_ID = 'a01000000000001AAA';
+
+const INIT_DATA = {
+    attendee: { Id: ATTENDEE_ID, Name: 'Jane Doe' },
+    originalOpp: { Id: '006000000000001AAA', Name: 'Doe - WIL', Amount: 9950, Pricebook2Id: '01s000000000001AAA' },
+    programFeeLineItems: [],
+    transferableModuleLineItems: [],
+    discountLineItems: [],
+    enrolledProgramIds: [],
+    originalProgramFeeTotal: 9950,
+    discountTotal: 0,
+    originalNetRegistrationAmount: 9950,
+    currencyIsoCode: 'USD',
+    eligibility: []
+};
+
+const SAVED_DRAFT = {
+    changeType: 'Cancellation',
+    currentStep: '1',
+    draftJson: JSON.stringify({ cancelComments: 'Family emergency' }),
+    savedAt: '2026-03-02T15:30:00.000Z',
+    expiresAt: '2026-03-16T15:30:00.000Z'
+};
+
+function createComponent() {
+    const element = createElement('c-transfer-registration', { is: TransferRegistration });
+    element.recordId = ATTENDEE_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+function button(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find((b) => b.label === label);
+}
+
+// Starts a cancellation so the wizard is past step 0 and saves drafts
+async function startCancellation(element) {
+    element.shadowRoot.querySelector('.change-type-card').click();
+    await jest.advanceTimersByTimeAsync(0);
+    button(element, 'Next').click();
+    await jest.advanceTimersByTimeAsync(0);
+}
+
+describe('c-transfer-registration', () => {
+    beforeEach(() => {
+        // Draft saves wait for typing to pause; fake timers let the tests skip the wait
+        jest.useFakeTimers();
+        getInitData.mockResolvedValue(INIT_DATA);
+        getCancellationReasonLostOptions.mockResolvedValue([]);
+        getDraft.mockResolvedValue(null);
+        getChangeRequests.mockResolvedValue([]);
+        discardDraft.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    it('shows the error when the registration cannot be loaded', async () => {
+        getInitData.mockRejectedValue({ body: { message: 'Attendee not found' } });
+
+        const element = createComponent();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(getInitData).toHaveBeenCalledWith({ attendeeId: ATTENDEE_ID });
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe('Attendee not found');
+        expect(button(element, 'Next')).toBeUndefined();
+    });
+
+    it('shows Reverse Change disabled with the reason for a partial transfer', async () => {
+        const reason = 'Partial (module) transfers cannot be reversed. Transfer the modules back from the new registration instead.';
+        getInitData.mockResolvedValue({ ...INIT_DATA, reversalIneligibleReason: reason });
+
+        const element = createComponent();
+        await jest.advanceTimersByTimeAsync(0);
+
+        const card = element.shadowRoot.querySelector('input[value="Reversal"]').closest('.change-type-card');
+        expect(card.getAttribute('aria-disabled')).toBe('true');
+        expect(card.querySelector('.change-type-reason').textContent).toBe(reason);
+
+        card.click();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(element.shadowRoot.querySelector('input[value="Reversal"]').checked).toBe(false);
+    });
+
+    it('offers the saved draft on step 0 and resumes it', async () => {
+        getDraft.mockResolvedValue(SAVED_DRAFT);
+
+        const element = createComponent();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(getDraft).toHaveBeenCalledWith({ attendeeId: ATTENDEE_ID });
+        expect(element.shadowRoot.textContent).toContain('Cancellation in progress (step 1)');
+
+        button(element, 'Resume').click();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(button(element, 'Resume')).toBeUndefined();
+        expect(button(element, 'Back')).toBeDefined();
+        expect(element.shadowRoot.textContent).toContain('Draft saved');
+    });
+
+    it('discards the saved draft', async () => {
+        getDraft.mockResolvedValue(SAVED_DRAFT);
+        const element = createComponent();
+        await jest.advanceTimersByTimeAsync(0);
+
+        button(element, 'Discard').click();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(discardDraft).toHaveBeenCalledWith({ attendeeId: ATTENDEE_ID });
+        expect(element.shadowRoot.textContent).not.toContain('Cancellation in progress');
+    });
+
+    it('warns but carries on when the draft cannot be loaded', async () => {
+        getDraft.mockRejectedValue({ body: { message: 'Draft is corrupt' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Draft Not Loaded',
+            message: 'A saved draft could not be loaded: Draft is corrupt',
+            variant: 'warning'
+        });
+        expect(button(element, 'Next')).toBeDefined();
+    });
+
+    it('saves the draft once the wizard settles', async () => {
+        saveDraft.mockResolvedValue({ savedAt: '2026-03-02T15:30:00.000Z' });
+        const element = createComponent();
+        await jest.advanceTimersByTimeAsync(0);
+
+        await startCancellation(element);
+        expect(saveDraft).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1500);
+
+        expect(saveDraft).toHaveBeenCalledTimes(1);
+        expect(saveDraft.mock.calls[0][0]).toMatchObject({
+            attendeeId: ATTENDEE_ID,
+            changeType: 'Cancellation',
+            currentStep: '1'
+        });
+        expect(element.shadowRoot.textContent).toContain('Draft saved');
+    });
+
+    it('warns once while draft saves keep failing', async () => {
+        saveDraft.mockRejectedValue({ body: { message: 'Storage limit exceeded' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await jest.advanceTimersByTimeAsync(0);
+
+        await startCancellation(element);
+        await jest.advanceTimersByTimeAsync(1500);
+        const comments = element.shadowRoot.querySelector('lightning-textarea');
+        comments.dispatchEvent(new CustomEvent('change', { detail: { value: 'Family emergency' } }));
+        await jest.advanceTimersByTimeAsync(1500);
+
+        expect(saveDraft).toHaveBeenCalledTimes(2);
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Draft Not Saved',
+            message: 'Your progress could not be saved as a draft: Storage limit exceeded',
+            variant: 'warning'
+        });
+    });
+});
@@ -4,6 +4,12 @@
  *               Step 0: Change Type (Cancellation / Substitution / Transfer)
  *               Transfer path: Select Program → Transfer Details → Review → Complete
  *               Cancellation/Substitution: Stubbed for future phases.
+ *               Bundled registrations: keep the new registration in the bundle or
+ *               detach it, or move the whole bundle together (ProgramTransferQueueable).
+ *               Reverse Change path (registration with a completed change):
+ *               Reversal Details → Review → Complete
+ *               Unfinished changes are saved as a draft per Attendee and user and
+ *               offered for resuming on step 0 when the action is reopened.
  *
  * @author       Maury Davis (MJD) - Attain Partners
  * @date         2026-02-15
@@ -12,33 +18,36 @@
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { formatCurrency, DEFAULT_CURRENCY } from 'c/currencyFormat';
+import { delay, poll } from 'c/poller';
 
 import getInitData from '@salesforce/apex/TransferRegistrationController.getInitData';
 import getProgramDetails from '@salesforce/apex/TransferRegistrationController.getProgramDetails';
 import getDiscountByCode from '@salesforce/apex/TransferRegistrationController.getDiscountByCode';
+import getBalanceDuePayment from '@salesforce/apex/TransferRegistrationController.getBalanceDuePayment';
+import getTransferPaymentStatus from '@salesforce/apex/TransferRegistrationController.getTransferPaymentStatus';
+import retryTransferPaymentStep from '@salesforce/apex/TransferRegistrationController.retryTransferPaymentStep';
+import getBundleTransferMembers from '@salesforce/apex/TransferRegistrationController.getBundleTransferMembers';
+import startBundleTransfer from '@salesforce/apex/TransferRegistrationController.startBundleTransfer';
+import getProgramTransferStatus from '@salesforce/apex/ProgramTransferController.getProgramTransferStatus';
 import executeTransfer from '@salesforce/apex/TransferRegistrationController.executeTransfer';
+import joinWaitlist from '@salesforce/apex/TransferRegistrationController.joinWaitlist';
 import executeCancellation from '@salesforce/apex/TransferRegistrationController.executeCancellation';
 import searchContacts from '@salesforce/apex/TransferRegistrationController.searchContacts';
+import createSubstituteContact from '@salesforce/apex/TransferRegistrationController.createSubstituteContact';
 import executeSubstitution from '@salesforce/apex/TransferRegistrationController.executeSubstitution';
 import getCancellationReasonLostOptions from '@salesforce/apex/TransferRegistrationController.getCancellationReasonLostOptions';
-
-const PROGRAM_COLUMNS = [
-    { label: 'Program Name', fieldName: 'Name', type: 'text', sortable: true, wrapText: true, initialWidth: 250 },
-    { label: 'Code', fieldName: 'Program_Code__c', type: 'text', sortable: true, initialWidth: 120 },
-    { label: 'Acronym', fieldName: 'Program_Acronym__c', type: 'text', sortable: true, initialWidth: 90 },
-    { label: 'Start Date', fieldName: 'evt__Start__c', type: 'date', sortable: true, initialWidth: 110,
-        typeAttributes: { month: 'short', day: '2-digit', year: 'numeric' }
-    },
-    { label: 'End Date', fieldName: 'evt__End__c', type: 'date', sortable: true, initialWidth: 110,
-        typeAttributes: { month: 'short', day: '2-digit', year: 'numeric' }
-    },
-    { label: 'Expected Fee', fieldName: 'Expected_Program_Fee__c', type: 'currency', sortable: true, initialWidth: 120,
-        typeAttributes: { currencyCode: 'USD' }
-    }
-];
-
+import previewTransfer from '@salesforce/apex/TransferRegistrationController.previewTransfer';
+import previewCancellation from '@salesforce/apex/TransferRegistrationController.previewCancellation';
+import previewSubstitution from '@salesforce/apex/TransferRegistrationController.previewSubstitution';
+import previewRegistrationReversal from '@salesforce/apex/TransferRegistrationController.previewRegistrationReversal';
+import reverseRegistrationChange from '@salesforce/apex/TransferRegistrationController.reverseRegistrationChange';
+import getDraft from '@salesforce/apex/TransferRegistrationController.getDraft';
+import saveDraft from '@salesforce/apex/TransferRegistrationController.saveDraft';
+import discardDraft from '@salesforce/apex/TransferRegistrationController.discardDraft';
+
+// Transfer to a cheaper program: how the net credit is settled
 const SETTLEMENT_OPTIONS = [
-    { label: '-- None --', value: '' },
     { label: 'Refund', value: 'Refund' },
     { label: 'Unapplied Funds', value: 'Unapplied Funds' }
 ];
@@ -54,16 +63,83 @@ const CANCEL_SETTLEMENT_OPTIONS_BUNDLE = [
     { label: 'Unapplied Funds', value: 'Unapplied Funds' }
 ];
 
-const CURRENCY_FORMATTER = new Intl.NumberFormat('en-US', {
-    style: 'currency', currency: 'USD'
-});
+// Bundled registration: where the new registration goes (RegistrationBundleService options)
+const BUNDLE_OPTION_KEEP = 'Keep in Bundle';
+const BUNDLE_OPTIONS = [
+    { label: 'Keep in the bundle (the bundle is billed for the new program)', value: BUNDLE_OPTION_KEEP },
+    { label: 'Detach from the bundle (billed on its own Opportunity)', value: 'Detach from Bundle' }
+];
+
+// TransferRegistrationController.PaymentStep.state -> icon on the completion screen
+const PAYMENT_STEP_ICONS = {
+    Done: { iconName: 'utility:success', variant: 'success' },
+    Pending: { iconName: 'utility:clock', variant: null },
+    Failed: { iconName: 'utility:error', variant: 'error' }
+};
+
+// What each cancellation settlement portion creates, for the settlement and review steps
+const CANCEL_SETTLEMENT_ACTIONS = {
+    'Refund': 'Create Task to process refund of',
+    'Unapplied Funds': 'Create Unapplied Funds record for',
+    'Apply to Remaining Balance': 'Apply to remaining balance on bundled registration:'
+};
+
+// Registration_Change_Type__c values reverseRegistrationChange can undo, with the reverse-card wording
+const REVERSIBLE_CHANGE_TYPES = {
+    'Transferred Out': 'transfer',
+    'Canceled': 'cancellation',
+    'Substituted Out': 'substitution'
+};
+
+// Order + headings for the server-computed ledger on the review step
+const LEDGER_SECTIONS = [
+    { key: 'lineItems', title: 'Opportunity Line Items' },
+    { key: 'payments', title: 'Payments' },
+    { key: 'unappliedFunds', title: 'Unapplied Funds' },
+    { key: 'tasks', title: 'Tasks' }
+];
+
+// Wizard values kept in a draft; everything else is reloaded or recomputed on resume
+const DRAFT_FIELDS = [
+    'selectedProgram', 'selectedProgramSeats', 'selectedModuleIds', 'newProgramFeeAmount',
+    'applyTransferFee', 'transferFeeAmount', 'transferFeeJustification', 'settlementType',
+    'applyDiscount', 'discountAmount', 'discountCode', 'calculatedDiscountAmount', 'regChangeComments',
+    'bundleOption', 'transferWholeBundle',
+    'applyCancellationFee', 'cancellationFeeAmount', 'cancellationFeeJustification',
+    'cancelSettlementAmounts', 'cancelComments', 'cancellationReasonLost',
+    'selectedContact', 'applySubstitutionDiscount', 'substitutionComments', 'substitutionReasonLost',
+    'reversalReasonLost', 'reversalComments', 'sendConfirmationEmail', 'additionalEmailRecipients',
+    'idempotencyKey'
+];
+
+// Typing pauses this long before the draft is saved
+const DRAFT_SAVE_DELAY_MS = 1500;
+
+// One per change submitted; the server scopes it to the Attendee, so this only has to be unique per user
+function newIdempotencyKey() {
+    const random = () => Math.random().toString(36).slice(2, 12);
+    return `${Date.now().toString(36)}-${random()}-${random()}`;
+}
+
+// Amounts are compared and pro-rated to the cent, like the server-side checks
+function roundToCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Apex Date values arrive as 'YYYY-MM-DD'; format in UTC so the day does not shift
+function formatApexDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-US', {
+        month: 'short', day: '2-digit', year: 'numeric', timeZone: 'UTC'
+    });
+}
 
 export default class TransferRegistration extends NavigationMixin(LightningElement) {
     @api recordId; // Attendee Id from Quick Action
 
     // ═══════════════ STATE ═══════════════
     @track currentStep = '0';
-    @track changeType = '';       // 'Cancellation', 'Substitution', 'Transfer'
+    @track changeType = '';       // 'Cancellation', 'Substitution', 'Transfer', 'Reversal'
     @track isLoading = true;
     @track isProcessing = false;
     @track hasError = false;
@@ -71,33 +147,45 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
 
     // Data from init
     @track initData = {};
-    @track availablePrograms = [];
 
     // Step 1 - Program Selection (Transfer path)
-    @track programSearchTerm = '';
-    @track filteredPrograms = [];
     @track selectedProgram = null;
-    @track selectedProgramRows = [];
+    @track selectedProgramSeats = null;     // SeatAvailability from the picker's searchPrograms page
     @track programDetails = null;
 
     // Step 2 - Transfer Details
+    @track selectedModuleIds = [];          // Multi-module programs: modules (Program Fee lines) to move
     @track newProgramFeeAmount = 0;
     @track applyTransferFee = true;
     @track transferFeeAmount = 0;
+    @track transferFeeJustification = '';   // Required when the fee differs from the fee schedule
     @track settlementType = '';
     @track applyDiscount = false;
     @track discountAmount = 0;
     @track discountCode = '';
     @track calculatedDiscountAmount = null;  // From discount code lookup (for review display)
     @track regChangeComments = '';
+    @track bundleOption = BUNDLE_OPTION_KEEP;
+    @track transferWholeBundle = false;
+    @track bundleMembers = [];              // RegistrationBundleService.BundleMember, selected registration first
+    @track isLoadingBundleMembers = false;
 
     // Step 4 - Results
     @track transferResult = {};
+    @track balanceDuePayment = null;          // Created by the background payment job
+    @track isCheckingBalanceDuePayment = false;
+    bundleRunId = null;                     // Whole-bundle transfer: the ProgramTransferQueueable run
+    @track bundleRunStatus = null;
+    stopBundlePolling;
+    @track paymentStepStatus = null;          // TransferPaymentQueueable progress for transferResult.newOpportunityId
+    @track isRetryingPaymentStep = false;
+    stopPaymentStepPolling;
 
     // ═══════════════ CANCELLATION STATE ═══════════════
     @track applyCancellationFee = false;
     @track cancellationFeeAmount = 0;
-    @track cancelSettlementType = '';
+    @track cancellationFeeJustification = '';
+    @track cancelSettlementAmounts = {};   // settlement type -> amount entered on the settlement step
     @track cancelComments = '';
     @track cancellationReasonLost = '';
     @track reasonLostOptions = [];
@@ -112,9 +200,39 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     @track substitutionReasonLost = '';
     @track substitutionResult = {};
     @track isSearchingContacts = false;
+    @track showNewContactForm = false;
+    @track newContact = {};
+    @track newContactDuplicates = [];
+    @track newContactCanSaveDuplicate = false;
+    @track newContactDuplicateMessage = '';
+    @track isCreatingContact = false;
+
+    // ═══════════════ REVERSAL STATE ═══════════════
+    @track reversalReasonLost = '';
+    @track reversalComments = '';
+    @track reversalResult = {};
+
+    // ═══════════════ FINANCIAL PREVIEW STATE ═══════════════
+    @track financialPreview = null;
+    @track isPreviewLoading = false;
+
+    // Confirmation email (review step)
+    @track sendConfirmationEmail = true;
+    @track additionalEmailRecipients = '';  // Comma / semicolon separated
+
+    // Sent with execute; a retry of the same change reuses it and gets the first result back
+    idempotencyKey = null;
+
+    // Drafts
+    @track savedDraft = null;               // Offered on step 0 until resumed, discarded or replaced
+    @track draftSavedAt = null;
+    cancelDraftSave = null;                 // Set while a save waits for typing to pause
+    draftSavePromise = Promise.resolve();
+    lastDraftSnapshot;
+    draftSaveFailed = false;                // Warn once per run of failed saves, not on every autosave
 
-    programColumns = PROGRAM_COLUMNS;
     settlementOptions = SETTLEMENT_OPTIONS;
+    bundleOptions = BUNDLE_OPTIONS;
 
     // ═══════════════ LIFECYCLE ═══════════════
 
@@ -122,13 +240,31 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.loadInitData();
     }
 
+    // Any change to the wizard re-renders it; the draft is saved once the values settle
+    renderedCallback() {
+        this.scheduleDraftSave();
+    }
+
+    // Closing the quick action: save what is pending now rather than losing it
+    disconnectedCallback() {
+        this.stopBundlePolling?.();
+        this.stopPaymentStepPolling?.();
+        if (this.cancelDraftSave) {
+            this.cancelDraftSave();
+            this.cancelDraftSave = null;
+            this.saveDraftNow();
+        }
+    }
+
     async loadInitData() {
         this.isLoading = true;
         this.hasError = false;
         try {
             this.initData = await getInitData({ attendeeId: this.recordId });
-            this.availablePrograms = this.initData.availablePrograms || [];
+            this.selectedModuleIds = this.transferableModules.map((oli) => oli.Id);
+            this.applySuggestedCancellationFee();
             await this.loadCancellationReasonLostOptions();
+            await this.loadDraft();
         } catch (error) {
             this.hasError = true;
             this.errorMessage = this.extractErrorMessage(error);
@@ -144,27 +280,67 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     get isCancellationSelected() { return this.changeType === 'Cancellation'; }
     get isSubstitutionSelected() { return this.changeType === 'Substitution'; }
     get isTransferSelected() { return this.changeType === 'Transfer'; }
+    get isReversalSelected() { return this.changeType === 'Reversal'; }
 
     get isTransferPath() { return this.changeType === 'Transfer'; }
     get isCancellationPath() { return this.changeType === 'Cancellation'; }
     get isSubstitutionPath() { return this.changeType === 'Substitution'; }
+    get isReversalPath() { return this.changeType === 'Reversal'; }
 
     handleChangeTypeSelect(event) {
-        this.changeType = event.target.value;
+        this.selectChangeType(event.target.value);
     }
 
     handleCancellationClick() {
-        this.changeType = 'Cancellation';
+        this.selectChangeType('Cancellation');
     }
 
     handleSubstitutionClick() {
-        this.changeType = 'Substitution';
+        this.selectChangeType('Substitution');
     }
 
     handleTransferClick() {
-        this.changeType = 'Transfer';
+        this.selectChangeType('Transfer');
+    }
+
+    selectChangeType(changeType) {
+        // Disabled cards stay unselectable; the reason is shown on the card
+        if (!this.isChangeTypeEligible(changeType)) return;
+        this.changeType = changeType;
+    }
+
+    handleReversalClick() {
+        this.selectChangeType('Reversal');
     }
 
+    // ═══════════════ ELIGIBILITY ═══════════════
+
+    // Verdicts come from Registration_Eligibility_Rule__mdt via getInitData; the
+    // server refuses the same changes at execute time.
+    eligibilityFor(changeType) {
+        return (this.initData?.eligibility || []).find((verdict) => verdict.changeType === changeType);
+    }
+
+    /** Reversal has no verdict (canReverseChange governs it); otherwise a missing verdict means eligible. */
+    isChangeTypeEligible(changeType) {
+        if (changeType === 'Reversal') return this.canReverseChange;
+        const verdict = this.eligibilityFor(changeType);
+        return !verdict || verdict.eligible;
+    }
+
+    ineligibleReason(changeType) {
+        const verdict = this.eligibilityFor(changeType);
+        return verdict && !verdict.eligible ? (verdict.reasons || []).join(' ') : '';
+    }
+
+    get isCancellationDisabled() { return !this.isChangeTypeEligible('Cancellation'); }
+    get isSubstitutionDisabled() { return !this.isChangeTypeEligible('Substitution'); }
+    get isTransferDisabled() { return !this.isChangeTypeEligible('Transfer'); }
+
+    get cancellationIneligibleReason() { return this.ineligibleReason('Cancellation'); }
+    get substitutionIneligibleReason() { return this.ineligibleReason('Substitution'); }
+    get transferIneligibleReason() { return this.ineligibleReason('Transfer'); }
+
     // ═══════════════ STEP COMPUTED PROPERTIES ═══════════════
 
     get isTransferStep1() { return this.isTransferPath && this.currentStep === '1'; }
@@ -181,6 +357,10 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     get isSubstitutionStep2() { return this.isSubstitutionPath && this.currentStep === '2'; }
     get isSubstitutionStep3() { return this.isSubstitutionPath && this.currentStep === '3'; }
 
+    get isReversalStep1() { return this.isReversalPath && this.currentStep === '1'; }
+    get isReversalStep2() { return this.isReversalPath && this.currentStep === '2'; }
+    get isReversalStep3() { return this.isReversalPath && this.currentStep === '3'; }
+
     get isStubStep() {
         return false;
     }
@@ -199,7 +379,8 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     }
 
     get showFooter() {
-        return !this.isLoading && !this.hasError && !this.isTransferStep4 && !this.isCancellationStep4 && !this.isSubstitutionStep3;
+        return !this.isLoading && !this.hasError && !this.isTransferStep4 && !this.isCancellationStep4
+            && !this.isSubstitutionStep3 && !this.isReversalStep3;
     }
 
     get showBackButton() {
@@ -213,7 +394,7 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         if (this.isCancellationPath) {
             return this.currentStep === '1' || this.currentStep === '2' || this.currentStep === '3';
         }
-        if (this.isSubstitutionPath) {
+        if (this.isSubstitutionPath || this.isReversalPath) {
             return this.currentStep === '1' || this.currentStep === '2';
         }
         return false;
@@ -229,15 +410,19 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         if (this.isCancellationStep1) {
             const feeInvalid = this.applyCancellationFee && (!this.cancellationFeeAmount || Number(this.cancellationFeeAmount) <= 0);
             const reasonMissing = !String(this.cancellationReasonLost || '').trim();
-            return feeInvalid || reasonMissing;
+            const justificationMissing = this.isCancellationFeeOverridden && !String(this.cancellationFeeJustification || '').trim();
+            return feeInvalid || reasonMissing || justificationMissing;
         }
         if (this.isCancellationStep2) {
-            return !this.cancelSettlementType;
+            return !this.isCancelSettlementBalanced;
         }
         if (this.isSubstitutionStep1) {
             const reasonMissing = !String(this.substitutionReasonLost || '').trim();
             return !this.selectedContact || reasonMissing;
         }
+        if (this.isReversalStep1) {
+            return this.reversalClosesReplacement && !String(this.reversalReasonLost || '').trim();
+        }
         return false;
     }
 
@@ -248,11 +433,100 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         if (this.isSubstitutionPath) {
             return this.isProcessing ? 'Processing...' : 'Execute Substitution';
         }
+        if (this.isReversalPath) {
+            return this.isProcessing ? 'Processing...' : 'Reverse Change';
+        }
         return this.isProcessing ? 'Processing...' : 'Execute Transfer';
     }
 
     get showExecuteButton() {
-        return this.isTransferStep3 || this.isCancellationStep3 || this.isSubstitutionStep2;
+        return this.isTransferStep3 || this.isCancellationStep3 || this.isSubstitutionStep2 || this.isReversalStep2;
+    }
+
+    /** Execute stays disabled until the server ledger has loaded successfully. */
+    get disableExecute() {
+        return this.isProcessing || this.isPreviewLoading || !this.financialPreview?.success;
+    }
+
+    // ═══════════════ FINANCIAL PREVIEW DISPLAY PROPERTIES ═══════════════
+
+    get ledgerSections() {
+        const preview = this.financialPreview;
+        if (!preview?.success) return [];
+        return LEDGER_SECTIONS
+            .filter(section => Array.isArray(preview[section.key]) && preview[section.key].length > 0)
+            .map(section => ({
+                key: section.key,
+                title: section.title,
+                rows: preview[section.key].map((entry, index) => ({
+                    key: `${section.key}-${index}`,
+                    action: entry.action,
+                    target: entry.target,
+                    description: entry.description,
+                    status: entry.status || '',
+                    formattedAmount: entry.amount != null ? formatCurrency(entry.amount, this.currencyCode) : ''
+                }))
+            }));
+    }
+
+    get hasNoLedgerEntries() {
+        return !!this.financialPreview?.success && this.ledgerSections.length === 0;
+    }
+
+    get previewErrorMessage() {
+        if (this.financialPreview && !this.financialPreview.success) {
+            return this.financialPreview.errorMessage || 'The financial preview could not be calculated.';
+        }
+        return '';
+    }
+
+    // ═══════════════ CONFIRMATION EMAIL (REVIEW STEPS) ═══════════════
+
+    get confirmationEmail() {
+        return this.financialPreview?.success ? this.financialPreview.confirmationEmail : null;
+    }
+
+    get confirmationEmailError() {
+        return this.confirmationEmail?.errorMessage || '';
+    }
+
+    get willSendConfirmationEmail() {
+        return this.sendConfirmationEmail && !!this.confirmationEmail && !this.confirmationEmailError;
+    }
+
+    get confirmationEmailRecipients() {
+        return (this.confirmationEmail?.recipients || []).join(', ');
+    }
+
+    get additionalEmailRecipientList() {
+        return String(this.additionalEmailRecipients || '')
+            .split(/[,;\s]+/)
+            .map((address) => address.trim())
+            .filter((address) => address);
+    }
+
+    handleSendConfirmationEmailToggle(event) {
+        this.sendConfirmationEmail = event.target.checked;
+    }
+
+    handleAdditionalEmailRecipientsChange(event) {
+        this.additionalEmailRecipients = event.target.value;
+    }
+
+    // A repeated submission returns the first run's result; nothing was changed this time
+    showExecuteSuccessToast(result, title, message) {
+        if (result.duplicateSubmission) {
+            this.showToast('Already Processed', 'This change was already submitted. Showing the original result.', 'info');
+        } else {
+            this.showToast(title, message, 'success');
+        }
+    }
+
+    // The change is committed either way; say so when its email could not go out
+    notifyConfirmationEmail(result) {
+        if (result.emailError) {
+            this.showToast('Confirmation Email Not Sent', result.emailError, 'warning');
+        }
     }
 
     // ═══════════════ CANCELLATION DISPLAY PROPERTIES ═══════════════
@@ -265,7 +539,7 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     }
 
     get formattedCancellationFee() {
-        return CURRENCY_FORMATTER.format(this.cancellationFeeAmount || 0);
+        return formatCurrency(this.cancellationFeeAmount || 0, this.currencyCode);
     }
 
     get cancellationRefundAmount() {
@@ -275,13 +549,7 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     }
 
     get formattedCancellationRefund() {
-        return CURRENCY_FORMATTER.format(this.cancellationRefundAmount);
-    }
-
-    /** Net registration (Opportunity.Amount); matches executeCancellation credit line UnitPrice. */
-    get formattedCancellationCredit() {
-        const oppAmount = this.initData?.originalOpp?.Amount || 0;
-        return CURRENCY_FORMATTER.format(-oppAmount);
+        return formatCurrency(this.cancellationRefundAmount, this.currencyCode);
     }
 
     get hasPicklistReasonLostOptions() {
@@ -302,19 +570,67 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return opt ? opt.label : v;
     }
 
-    get cancelSettlementDescription() {
-        if (this.cancelSettlementType === 'Refund') {
-            return 'A Task will be created to process the refund for ' + this.formattedCancellationRefund + '.';
+    get cancelSettlementRows() {
+        return this.cancelSettlementOptions.map((option) => ({
+            settlementType: option.value,
+            label: option.label + ' Amount',
+            amount: this.cancelSettlementAmounts[option.value] ?? ''
+        }));
+    }
+
+    // Portions with an amount, in option order — sent as settlementSplits
+    get cancelSettlementSplits() {
+        return this.cancelSettlementOptions
+            .map((option) => ({
+                settlementType: option.value,
+                amount: roundToCents(Number(this.cancelSettlementAmounts[option.value]) || 0)
+            }))
+            .filter((split) => split.amount > 0);
+    }
+
+    get cancelSettlementAllocated() {
+        return roundToCents(this.cancelSettlementSplits.reduce((sum, split) => sum + split.amount, 0));
+    }
+
+    get cancelSettlementRemaining() {
+        return roundToCents(this.cancellationRefundAmount - this.cancelSettlementAllocated);
+    }
+
+    get hasNegativeCancelSettlement() {
+        return Object.values(this.cancelSettlementAmounts).some((amount) => Number(amount) < 0);
+    }
+
+    get isCancelSettlementBalanced() {
+        return this.cancelSettlementSplits.length > 0
+            && this.cancelSettlementRemaining === 0
+            && !this.hasNegativeCancelSettlement;
+    }
+
+    get formattedCancelSettlementAllocated() {
+        return formatCurrency(this.cancelSettlementAllocated, this.currencyCode);
+    }
+
+    get cancelSettlementBalanceMessage() {
+        if (this.hasNegativeCancelSettlement) {
+            return 'Settlement amounts cannot be negative.';
         }
-        if (this.cancelSettlementType === 'Unapplied Funds') {
-            return 'An Unapplied Funds record will be created for ' + this.formattedCancellationRefund + '.';
+        const remaining = this.cancelSettlementRemaining;
+        if (remaining > 0) {
+            return formatCurrency(remaining, this.currencyCode) + ' still to be allocated.';
         }
-        if (this.cancelSettlementType === 'Apply to Remaining Balance') {
-            return 'The amount will be applied to the remaining balance on the bundled registration.';
+        if (remaining < 0) {
+            return 'Allocated ' + formatCurrency(-remaining, this.currencyCode) + ' more than the refund amount.';
         }
         return '';
     }
 
+    get cancelSettlementActions() {
+        return this.cancelSettlementSplits.map((split) => ({
+            key: split.settlementType,
+            text: CANCEL_SETTLEMENT_ACTIONS[split.settlementType] + ' ' + formatCurrency(split.amount, this.currencyCode)
+        }));
+    }
+
     get cancellationOppUrl() {
         return `/lightning/r/Opportunity/${this.cancellationResult?.opportunityId}/view`;
     }
@@ -335,16 +651,12 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return this.cancellationResult?.unappliedFundsId;
     }
 
-    get isSettlementRefund() {
-        return this.cancelSettlementType === 'Refund';
+    get formattedResultRefund() {
+        return formatCurrency(this.cancellationResult?.refundAmount || 0, this.currencyCode);
     }
 
-    get isSettlementUnappliedFunds() {
-        return this.cancelSettlementType === 'Unapplied Funds';
-    }
-
-    get isSettlementApplyToBalance() {
-        return this.cancelSettlementType === 'Apply to Remaining Balance';
+    get formattedResultUnappliedFunds() {
+        return formatCurrency(this.cancellationResult?.unappliedFundsAmount || 0, this.currencyCode);
     }
 
     get notApplyCancellationFee() {
@@ -357,6 +669,14 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return this.contactSearchResults && this.contactSearchResults.length > 0;
     }
 
+    get hasNewContactDuplicates() {
+        return this.newContactDuplicates && this.newContactDuplicates.length > 0;
+    }
+
+    get isCreateContactDisabled() {
+        return this.isCreatingContact || !this.newContact.lastName?.trim();
+    }
+
     get hasOriginalDiscount() {
         return this.initData?.discountTotal && this.initData.discountTotal !== 0;
     }
@@ -373,8 +693,58 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return !this.applySubstitutionDiscount;
     }
 
-    get discountAppliedLabel() {
-        return this.applySubstitutionDiscount ? '(Applied)' : '(Not Applied)';
+    // ═══════════════ REVERSAL DISPLAY PROPERTIES ═══════════════
+
+    get completedChangeType() {
+        return this.initData?.originalOpp?.Registration_Change_Type__c || '';
+    }
+
+    get canReverseChange() {
+        return Object.prototype.hasOwnProperty.call(REVERSIBLE_CHANGE_TYPES, this.completedChangeType);
+    }
+
+    /** Set for a change Reverse Change does not support (a partial transfer); the card is shown disabled with it. */
+    get reversalIneligibleReason() {
+        return this.initData?.reversalIneligibleReason || '';
+    }
+
+    get showReversalCard() {
+        return this.canReverseChange || !!this.reversalIneligibleReason;
+    }
+
+    get isReversalDisabled() {
+        return !this.canReverseChange;
+    }
+
+    get reversalCardDescription() {
+        if (!this.canReverseChange) {
+            return 'Undo a completed change and restore the original registration';
+        }
+        return `Undo the completed ${REVERSIBLE_CHANGE_TYPES[this.completedChangeType]} and restore the original registration`;
+    }
+
+    /** Transfers and substitutions created a replacement registration that the reversal closes. */
+    get reversalClosesReplacement() {
+        return this.completedChangeType === 'Transferred Out' || this.completedChangeType === 'Substituted Out';
+    }
+
+    get replacementOppName() {
+        return this.initData?.originalOpp?.Reg_Change_New_Opportunity__r?.Name || '';
+    }
+
+    get formattedReversalReasonLostDisplay() {
+        const v = String(this.reversalReasonLost || '').trim();
+        if (!v) return '';
+        const opt = this.reasonLostOptions?.find((o) => o.value === v);
+        return opt ? opt.label : v;
+    }
+
+    get reversalOppUrl() {
+        return `/lightning/r/Opportunity/${this.reversalResult?.opportunityId}/view`;
+    }
+
+    get reversalClosedOppUrl() {
+        return `/lightning/r/Opportunity/${this.reversalResult?.closedOpportunityId}/view`;
     }
 
     // ═══════════════ DISPLAY PROPERTIES ═══════════════
@@ -395,24 +765,80 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
 
     // ── Financial Summary Fields ──
 
+    /** Registration's currency (original Opportunity CurrencyIsoCode); every amount is shown in it. */
+    get currencyCode() {
+        return this.initData?.currencyIsoCode || DEFAULT_CURRENCY;
+    }
+
+    // Amount inputs use formatter="decimal": lightning-input's currency symbol follows the user's locale
+    get cancellationFeeLabel() {
+        return `Cancellation Fee (${this.currencyCode})`;
+    }
+
+    // ═══════════════ FEE SCHEDULE ═══════════════
+    // Suggestions come from Registration_Fee_Rule__mdt via getInitData; charging a
+    // different fee needs a justification (enforced again in Apex).
+
+    get suggestedTransferFee() {
+        return this.initData?.suggestedTransferFee || null;
+    }
+
+    get suggestedCancellationFee() {
+        return this.initData?.suggestedCancellationFee || null;
+    }
+
+    get transferFeeSuggestionText() {
+        return this.describeSuggestion(this.suggestedTransferFee);
+    }
+
+    get cancellationFeeSuggestionText() {
+        return this.describeSuggestion(this.suggestedCancellationFee);
+    }
+
+    get isTransferFeeOverridden() {
+        const applied = this.applyTransferFee ? Number(this.transferFeeAmount) || 0 : 0;
+        return this.isFeeOverridden(this.suggestedTransferFee, applied);
+    }
+
+    get isCancellationFeeOverridden() {
+        const applied = this.applyCancellationFee ? Number(this.cancellationFeeAmount) || 0 : 0;
+        return this.isFeeOverridden(this.suggestedCancellationFee, applied);
+    }
+
+    describeSuggestion(suggestion) {
+        if (!suggestion) return '';
+        return `Fee schedule: ${formatCurrency(suggestion.amount, this.currencyCode)} (${suggestion.ruleLabel}, ${suggestion.daysBeforeStart} days before start)`;
+    }
+
+    isFeeOverridden(suggestion, applied) {
+        if (!suggestion) return false;
+        return Math.round(applied * 100) !== Math.round((Number(suggestion.amount) || 0) * 100);
+    }
+
+    applySuggestedCancellationFee() {
+        const amount = Number(this.suggestedCancellationFee?.amount) || 0;
+        this.applyCancellationFee = amount > 0;
+        this.cancellationFeeAmount = amount;
+    }
+
     get paymentStatus() {
         return this.initData?.originalOpp?.Payment_Status__c || 'N/A';
     }
 
     get formattedOriginalFee() {
-        return CURRENCY_FORMATTER.format(this.initData?.originalProgramFeeTotal || 0);
+        return formatCurrency(this.initData?.originalProgramFeeTotal || 0, this.currencyCode);
     }
 
     get formattedOriginalDiscount() {
-        return CURRENCY_FORMATTER.format(this.initData?.originalOpp?.Discount_Amount__c || 0);
+        return formatCurrency(this.initData?.originalOpp?.Discount_Amount__c || 0, this.currencyCode);
     }
 
     get formattedRegistrationTotal() {
-        return CURRENCY_FORMATTER.format(this.initData?.originalOpp?.Amount || 0);
+        return formatCurrency(this.initData?.originalOpp?.Amount || 0, this.currencyCode);
     }
 
     get formattedPaymentBalance() {
-        return CURRENCY_FORMATTER.format(this.initData?.originalOpp?.pymt__Balance__c || 0);
+        return formatCurrency(this.initData?.originalOpp?.pymt__Balance__c || 0, this.currencyCode);
     }
 
     // ── Transfer Detail Formatters ──
@@ -420,15 +846,11 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     get formattedExpectedFee() {
         const fee = this.selectedProgram?.Expected_Program_Fee__c
             || this.programDetails?.expectedProgramFee || 0;
-        return CURRENCY_FORMATTER.format(fee);
+        return formatCurrency(fee, this.selectedProgramCurrency);
     }
 
     get formattedNewFee() {
-        return CURRENCY_FORMATTER.format(this.newProgramFeeAmount || 0);
-    }
-
-    get formattedTransferFee() {
-        return CURRENCY_FORMATTER.format(this.transferFeeAmount || 0);
+        return formatCurrency(this.newProgramFeeAmount || 0, this.currencyCode);
     }
 
     /**
@@ -446,92 +868,451 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return fee + disc;
     }
 
-    get formattedCreditAmount() {
-        return CURRENCY_FORMATTER.format(-this.originalNetRegistrationAmount);
+    get formattedNetCredit() {
+        return formatCurrency(this.netCreditAmount, this.currencyCode);
+    }
+
+    get netCreditAmount() {
+        const transferFee = this.applyTransferFee ? (Number(this.transferFeeAmount) || 0) : 0;
+        return this.transferredNetAmount - transferFee;
+    }
+
+    // Partial transfers credit the selected modules' pro-rated share, as executeTransfer does
+    get transferredNetAmount() {
+        if (!this.isPartialTransfer) {
+            return this.originalNetRegistrationAmount;
+        }
+        const remainingFeeTotal = this.transferableModules.reduce((sum, oli) => sum + (Number(oli.TotalPrice) || 0), 0);
+        return remainingFeeTotal > 0
+            ? roundToCents(this.originalNetRegistrationAmount * this.selectedModuleFeeTotal / remainingFeeTotal)
+            : 0;
+    }
+
+    /** Fee being credited: the whole original program fee, or the selected modules' fees. */
+    get transferredProgramFee() {
+        if (this.isPartialTransfer) {
+            return this.selectedModuleFeeTotal;
+        }
+        return Number(this.initData?.originalProgramFeeTotal) || 0;
+    }
+
+    /** Staff settle the net credit (Refund or Unapplied Funds) when moving to a cheaper program. */
+    get isCheaperProgram() {
+        if (this.newProgramFeeAmount === null || this.newProgramFeeAmount === undefined || this.newProgramFeeAmount === '') {
+            return false;
+        }
+        return Number(this.newProgramFeeAmount) < this.transferredProgramFee;
+    }
+
+    get showSettlementInfo() {
+        return this.isCheaperProgram && this.settlementType !== '';
+    }
+
+    get settlementDescription() {
+        if (this.settlementType === 'Refund') {
+            return 'A refund payment and a Task to process it will be created on the current Opportunity for the net credit amount.';
+        }
+        if (this.settlementType === 'Unapplied Funds') {
+            return 'An Unapplied Funds record will be created for the net credit amount and linked to both opportunities.';
+        }
+        return '';
+    }
+
+    get isTransferSettlementRefund() {
+        return this.showSettlementInfo && this.settlementType === 'Refund';
+    }
+
+    get isTransferSettlementUnappliedFunds() {
+        return this.showSettlementInfo && this.settlementType === 'Unapplied Funds';
+    }
+
+    get selectedProgramId() {
+        return this.selectedProgram?.Id;
+    }
+
+    get selectedProgramStartDate() {
+        if (!this.selectedProgram?.evt__Start__c) return '';
+        return new Date(this.selectedProgram.evt__Start__c).toLocaleDateString('en-US', {
+            month: 'short', day: '2-digit', year: 'numeric'
+        });
+    }
+
+    // Currency the selected program is priced in (only returned by multi-currency orgs)
+    get selectedProgramCurrency() {
+        return this.selectedProgram?.CurrencyIsoCode || this.currencyCode;
+    }
+
+    // Another active registration for the participant is already in the selected program
+    get isSelectedProgramEnrolled() {
+        return !!this.selectedProgram && this.enrolledProgramIds.includes(this.selectedProgram.Id);
+    }
+
+    get enrolledProgramIds() {
+        return this.initData?.enrolledProgramIds || [];
+    }
+
+    // Seat counts are as of the search; executeTransfer re-checks them under a lock
+    get isSelectedProgramFull() {
+        if (!this.selectedProgram || this.sameProgramTransfer) return false;
+        return !!this.selectedProgramSeats?.isFull;
+    }
+
+    get selectedProgramFullMessage() {
+        const seats = this.selectedProgramSeats;
+        if (!seats) return '';
+        return `${seats.programName} is full (${seats.registeredCount} of ${seats.capacity} seats taken).`;
+    }
+
+    get sameProgramTransfer() {
+        if (!this.selectedProgram || !this.initData?.attendee?.evt__Event__c) return false;
+        return this.selectedProgram.Id === this.initData.attendee.evt__Event__c;
+    }
+
+    // ═══════════════ MODULE SELECTION (multi-module programs) ═══════════════
+
+    get transferableModules() {
+        return this.initData?.transferableModuleLineItems || [];
+    }
+
+    get hasMultipleModules() {
+        return this.transferableModules.length > 1;
+    }
+
+    get moduleOptions() {
+        return this.transferableModules.map((oli) => ({
+            label: `${oli.Product2?.Name || 'Program Fee'} (${formatCurrency(oli.TotalPrice || 0, this.currencyCode)})`,
+            value: oli.Id
+        }));
+    }
+
+    /** Only some modules move; the original registration stays active for the rest. */
+    get isPartialTransfer() {
+        return this.selectedModuleIds.length > 0
+            && this.selectedModuleIds.length < this.transferableModules.length;
+    }
+
+    get selectedModuleFeeTotal() {
+        return this.transferableModules
+            .filter((oli) => this.selectedModuleIds.includes(oli.Id))
+            .reduce((sum, oli) => sum + (Number(oli.TotalPrice) || 0), 0);
+    }
+
+    get selectedModuleNames() {
+        return this.transferableModules
+            .filter((oli) => this.selectedModuleIds.includes(oli.Id))
+            .map((oli) => oli.Product2?.Name || 'Program Fee')
+            .join(', ');
+    }
+
+    handleModuleChange(event) {
+        this.selectedModuleIds = event.detail.value;
+        this.newProgramFeeAmount = this.defaultNewProgramFee();
+        // The rest of a bundle moves whole registrations
+        if (this.isPartialTransfer) {
+            this.transferWholeBundle = false;
+        }
+    }
+
+    // Whole registration: the new program's fee. Partial: the same modules' fees in the new run.
+    defaultNewProgramFee() {
+        if (this.isPartialTransfer) {
+            return this.selectedModuleFeeTotal;
+        }
+        return this.programDetails?.expectedProgramFee
+            || this.selectedProgram?.Expected_Program_Fee__c || 0;
+    }
+
+    get newOppUrl() {
+        return `/lightning/r/Opportunity/${this.transferResult?.newOpportunityId}/view`;
+    }
+
+    get newAttendeeUrl() {
+        return `/lightning/r/evt__Attendee__c/${this.transferResult?.newAttendeeId}/view`;
+    }
+
+    // ═══════════════ BALANCE DUE (more expensive program) ═══════════════
+
+    get previewBalanceDue() {
+        return this.isTransferPath && this.financialPreview?.success ? Number(this.financialPreview.balanceDue) || 0 : 0;
+    }
+
+    get formattedPreviewBalanceDue() {
+        return formatCurrency(this.previewBalanceDue, this.currencyCode);
+    }
+
+    get formattedPreviewBalanceDueDate() {
+        return formatApexDate(this.financialPreview?.balanceDueDate);
+    }
+
+    get hasTransferBalanceDue() {
+        return Number(this.transferResult?.balanceDue) > 0;
+    }
+
+    get formattedTransferBalanceDue() {
+        return formatCurrency(this.transferResult?.balanceDue || 0, this.currencyCode);
+    }
+
+    get formattedTransferBalanceDueDate() {
+        return formatApexDate(this.transferResult?.balanceDueDate);
+    }
+
+    get balanceDuePaymentId() {
+        return this.transferResult?.balanceDuePaymentId || this.balanceDuePayment?.Id;
+    }
+
+    get balanceDuePaymentUrl() {
+        return `/lightning/r/pymt__PaymentX__c/${this.balanceDuePaymentId}/view`;
+    }
+
+    async loadBalanceDuePayment() {
+        this.isCheckingBalanceDuePayment = true;
+        try {
+            this.balanceDuePayment = await getBalanceDuePayment({ newOpportunityId: this.transferResult.newOpportunityId });
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isCheckingBalanceDuePayment = false;
+        }
+    }
+
+    handleCheckBalanceDuePayment() {
+        this.loadBalanceDuePayment();
+    }
+
+    // Step 4: payments moved / refund created / invoice revised, as TransferPaymentQueueable finishes each
+    get hasPaymentStep() {
+        return Boolean(this.paymentStepStatus?.status);
+    }
+
+    get paymentStepRows() {
+        return (this.paymentStepStatus?.steps || []).map((step) => ({
+            ...step,
+            ...PAYMENT_STEP_ICONS[step.state],
+            statusClass: step.state === 'Failed' ? 'slds-text-color_error' : ''
+        }));
+    }
+
+    get isPaymentStepRunning() {
+        return this.hasPaymentStep && this.paymentStepStatus.isComplete !== true;
+    }
+
+    get isPaymentStepFailed() {
+        return this.paymentStepStatus?.canRetry === true;
+    }
+
+    get paymentStepAttemptLabel() {
+        const attempts = this.paymentStepStatus?.attempts || 0;
+        return attempts > 1 ? `Record locked by another update — attempt ${attempts}` : '';
+    }
+
+    startPaymentStepPolling() {
+        this.stopPaymentStepPolling?.();
+        this.stopPaymentStepPolling = poll(() => this.refreshPaymentStepStatus());
+    }
+
+    // Resolves true once polling should stop: the step completed, failed or its status could not be read
+    async refreshPaymentStepStatus() {
+        try {
+            this.paymentStepStatus = await getTransferPaymentStatus({
+                newOpportunityId: this.transferResult.newOpportunityId
+            });
+        } catch (error) {
+            this.showToast('Error', 'Failed to load payment update status: ' + this.extractErrorMessage(error), 'error');
+            return true;
+        }
+
+        // The balance-due payment is written with the moved payments (or untracked when the log was not written)
+        const paymentsMoved = !this.hasPaymentStep || (this.paymentStepStatus.steps || []).some(
+            (step) => step.label === 'Payments moved' && step.state === 'Done'
+        );
+        if (paymentsMoved && this.hasTransferBalanceDue && !this.balanceDuePaymentId) {
+            this.loadBalanceDuePayment();
+        }
+
+        if (this.isPaymentStepFailed) {
+            this.showToast('Payment Updates Failed', this.paymentStepStatus.errorMessage, 'error');
+            return true;
+        }
+        return this.paymentStepStatus.isComplete === true;
+    }
+
+    async handleRetryPaymentStep() {
+        this.isRetryingPaymentStep = true;
+        try {
+            this.paymentStepStatus = await retryTransferPaymentStep({
+                newOpportunityId: this.transferResult.newOpportunityId
+            });
+            this.startPaymentStepPolling();
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isRetryingPaymentStep = false;
+        }
+    }
+
+    // Only a full transfer to another program releases the seat in the current one
+    get showTransferWaitlist() {
+        return !this.sameProgramTransfer && !this.isPartialTransfer;
+    }
+
+    get currentProgramId() {
+        return this.initData?.attendee?.evt__Event__c;
+    }
+
+    get transferOriginalOppUrl() {
+        return `/lightning/r/Opportunity/${this.initData?.originalOpp?.Id}/view`;
+    }
+
+    get transferTaskUrl() {
+        return `/lightning/r/Task/${this.transferResult?.taskId}/view`;
+    }
+
+    get transferUnappliedFundsUrl() {
+        return `/lightning/r/Unapplied_Funds__c/${this.transferResult?.unappliedFundsId}/view`;
+    }
+
+    get showTransferRefundInfo() {
+        return this.transferResult?.taskId;
+    }
+
+    get showTransferUnappliedFundsInfo() {
+        return this.transferResult?.unappliedFundsId;
+    }
+
+    get formattedTransferResultRefund() {
+        return formatCurrency(this.transferResult?.refundAmount || 0, this.currencyCode);
+    }
+
+    get formattedTransferResultUnappliedFunds() {
+        return formatCurrency(this.transferResult?.unappliedFundsAmount || 0, this.currencyCode);
     }
 
-    get formattedDiscountAmount() {
-        const amt = this.calculatedDiscountAmount != null ? this.calculatedDiscountAmount
-            : (this.discountAmount && Number(this.discountAmount) > 0 ? Number(this.discountAmount) : 0);
-        return CURRENCY_FORMATTER.format(-amt);
+    // ═══════════════ BUNDLED REGISTRATIONS ═══════════════
+    // A bundle's payments and invoice are on the parent Opportunity; the server
+    // re-amounts them. "Transfer whole bundle" moves every registration in the
+    // bundle, each to the run of its own program shifted like this one.
+
+    get isDetachingFromBundle() {
+        return this.isBundledRegistration && this.bundleOption !== BUNDLE_OPTION_KEEP;
     }
 
-    get formattedNetCredit() {
-        return CURRENCY_FORMATTER.format(this.netCreditAmount);
+    get isKeepingInBundle() {
+        return this.isBundledRegistration && this.bundleOption === BUNDLE_OPTION_KEEP;
     }
 
-    get netCreditAmount() {
-        const transferFee = this.applyTransferFee ? (Number(this.transferFeeAmount) || 0) : 0;
-        return this.originalNetRegistrationAmount - transferFee;
+    get isWholeBundleTransfer() {
+        return this.isBundledRegistration && this.transferWholeBundle;
     }
 
-    get showSettlementInfo() {
-        return this.settlementType !== '';
+    get bundleMemberRows() {
+        return this.bundleMembers.map((member) => {
+            const fee = member.isSelected ? Number(this.newProgramFeeAmount) : member.newProgramFeeAmount;
+            return {
+                ...member,
+                currentProgramName: member.currentProgram?.Name,
+                newProgramName: member.newProgram?.Name || '—',
+                formattedNewFee: fee !== null && fee !== undefined ? formatCurrency(fee, this.currencyCode) : '—',
+                rowClass: member.problem ? 'slds-text-color_error' : ''
+            };
+        });
     }
 
-    get settlementDescription() {
-        if (this.settlementType === 'Refund') {
-            return 'A refund payment record will be created for the net credit amount.';
-        }
-        if (this.settlementType === 'Unapplied Funds') {
-            return 'An Unapplied Funds record will be created and linked to both opportunities.';
+    // A registration kept in a paid bundle is billed on the parent
+    get balanceDueTarget() {
+        return this.isKeepingInBundle ? "the bundle's parent Opportunity" : 'the new Opportunity';
+    }
+
+    get hasBundleMembers() {
+        return this.bundleMembers.length > 0;
+    }
+
+    get hasBundleMemberProblems() {
+        return this.bundleMembers.some((member) => member.problem);
+    }
+
+    handleBundleOptionChange(event) {
+        this.bundleOption = event.detail.value;
+    }
+
+    handleWholeBundleToggle(event) {
+        this.transferWholeBundle = event.target.checked;
+        if (this.transferWholeBundle) {
+            this.loadBundleMembers();
         }
-        return '';
     }
 
-    get reviewDiscountCode() {
-        return this.discountCode ? ` (${this.discountCode})` : '';
+    async loadBundleMembers() {
+        this.isLoadingBundleMembers = true;
+        try {
+            this.bundleMembers = await getBundleTransferMembers({
+                attendeeId: this.resolvedAttendeeId,
+                newSpecialEventId: this.selectedProgram.Id
+            });
+        } catch (error) {
+            this.bundleMembers = [];
+            this.showToast('Error', 'Failed to load the bundle: ' + this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isLoadingBundleMembers = false;
+        }
     }
 
-    get hasFilteredPrograms() {
-        return this.filteredPrograms && this.filteredPrograms.length > 0;
+    // Step 4 of a whole-bundle transfer: progress of the background run
+    get isBundleRun() {
+        return this.bundleRunId !== null;
     }
 
-    get selectedProgramStartDate() {
-        if (!this.selectedProgram?.evt__Start__c) return '';
-        return new Date(this.selectedProgram.evt__Start__c).toLocaleDateString('en-US', {
-            month: 'short', day: '2-digit', year: 'numeric'
-        });
+    get isBundleRunComplete() {
+        return this.bundleRunStatus?.isComplete === true;
     }
 
-    get sameProgramTransfer() {
-        if (!this.selectedProgram || !this.initData?.attendee?.evt__Event__c) return false;
-        return this.selectedProgram.Id === this.initData.attendee.evt__Event__c;
+    get bundleRunProgressValue() {
+        const total = this.bundleRunStatus?.totalItems || 0;
+        return total > 0 ? Math.round(((this.bundleRunStatus.itemsProcessed || 0) / total) * 100) : 0;
     }
 
-    get newOppUrl() {
-        return `/lightning/r/Opportunity/${this.transferResult?.newOpportunityId}/view`;
+    get bundleRunProgressLabel() {
+        if (!this.bundleRunStatus) return 'Starting…';
+        return `${this.bundleRunStatus.itemsProcessed || 0} of ${this.bundleRunStatus.totalItems || 0} registrations processed`;
     }
 
-    get newAttendeeUrl() {
-        return `/lightning/r/evt__Attendee__c/${this.transferResult?.newAttendeeId}/view`;
+    get bundleResultRows() {
+        return (this.bundleRunStatus?.results || []).map((row) => ({
+            ...row,
+            statusClass: row.status === 'Succeeded'
+                ? 'slds-text-color_success'
+                : (row.status === 'Failed' ? 'slds-text-color_error' : ''),
+            newOppUrl: row.newOpportunityId ? `/lightning/r/Opportunity/${row.newOpportunityId}/view` : null
+        }));
     }
 
-    // ═══════════════ STEP 1: PROGRAM SEARCH ═══════════════
+    get bundleSuccessCount() { return this.bundleRunStatus?.successCount || 0; }
+    get bundleFailureCount() { return this.bundleRunStatus?.failureCount || 0; }
 
-    handleProgramSearch(event) {
-        this.programSearchTerm = event.target.value;
-        if (!this.programSearchTerm || this.programSearchTerm.length < 2) {
-            this.filteredPrograms = [];
-            return;
+    // Resolves true once polling should stop: the run finished or its status could not be read
+    async refreshBundleRunStatus() {
+        try {
+            this.bundleRunStatus = await getProgramTransferStatus({ runId: this.bundleRunId });
+        } catch (error) {
+            this.showToast('Error', 'Failed to load transfer status: ' + this.extractErrorMessage(error), 'error');
+            return true;
         }
-        const term = this.programSearchTerm.toLowerCase();
-        this.filteredPrograms = this.availablePrograms.filter(p => {
-            return (p.Name && p.Name.toLowerCase().includes(term))
-                || (p.Program_Code__c && p.Program_Code__c.toLowerCase().includes(term))
-                || (p.Program_Acronym__c && p.Program_Acronym__c.toLowerCase().includes(term));
-        });
+
+        if (this.isBundleRunComplete) {
+            this.showToast(
+                'Bundle Transfer Complete',
+                `${this.bundleSuccessCount} transferred, ${this.bundleFailureCount} failed.`,
+                this.bundleFailureCount > 0 ? 'warning' : 'success'
+            );
+            return true;
+        }
+        return false;
     }
 
+    // ═══════════════ STEP 1: PROGRAM SEARCH ═══════════════
+
     handleProgramSelect(event) {
-        const selectedRows = event.detail.selectedRows;
-        if (selectedRows && selectedRows.length > 0) {
-            this.selectedProgram = selectedRows[0];
-            this.selectedProgramRows = [selectedRows[0].Id];
-        } else {
-            this.selectedProgram = null;
-            this.selectedProgramRows = [];
-        }
+        this.selectedProgram = event.detail.program;
+        this.selectedProgramSeats = event.detail.seatAvailability;
     }
 
     // ═══════════════ STEP 2: DETAIL HANDLERS ═══════════════
@@ -571,6 +1352,10 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.calculatedDiscountAmount = null;  // Code changed, re-validate on Next
     }
 
+    handleTransferFeeJustificationChange(event) {
+        this.transferFeeJustification = event.target.value;
+    }
+
     handleCommentsChange(event) {
         this.regChangeComments = event.target.value;
     }
@@ -578,7 +1363,8 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     // ═══════════════ CANCELLATION HANDLERS ═══════════════
 
     handleCancelFeeToggle(event) {
-        this.applyCancellationFee = event.target.checked;
+        // Yes / No radio pair: the changed input is always the one being checked
+        this.applyCancellationFee = event.target.value === 'yes';
         if (!this.applyCancellationFee) {
             this.cancellationFeeAmount = 0;
         }
@@ -588,8 +1374,25 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.cancellationFeeAmount = event.target.value;
     }
 
-    handleCancelSettlementChange(event) {
-        this.cancelSettlementType = event.detail.value;
+    handleCancelFeeJustificationChange(event) {
+        this.cancellationFeeJustification = event.target.value;
+    }
+
+    handleCancelSettlementAmountChange(event) {
+        this.cancelSettlementAmounts = {
+            ...this.cancelSettlementAmounts,
+            [event.target.dataset.type]: event.target.value
+        };
+    }
+
+    // Puts whatever is still unallocated on this settlement type
+    handleCancelSettlementFillRemaining(event) {
+        const type = event.currentTarget.dataset.type;
+        const current = Number(this.cancelSettlementAmounts[type]) || 0;
+        this.cancelSettlementAmounts = {
+            ...this.cancelSettlementAmounts,
+            [type]: String(roundToCents(Math.max(current + this.cancelSettlementRemaining, 0)))
+        };
     }
 
     handleCancelCommentsChange(event) {
@@ -613,7 +1416,8 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
 
             this.contactSearchResults = await searchContacts({
                 searchTerm: this.contactSearchTerm,
-                accountId: oppAccountId
+                accountId: oppAccountId,
+                specialEventId: this.initData?.attendee?.evt__Event__c
             });
 
             console.log('[Substitution] Search returned', this.contactSearchResults?.length || 0, 'contacts');
@@ -628,7 +1432,12 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
 
     handleContactSelect(event) {
         const contactId = event.currentTarget.dataset.id;
-        this.selectedContact = this.contactSearchResults.find(c => c.id === contactId);
+        const contact = this.contactSearchResults.find(c => c.id === contactId);
+        if (contact?.alreadyRegistered) {
+            this.showToast('Already Registered', `${contact.name} is already registered for ${this.currentProgramName}.`, 'warning');
+            return;
+        }
+        this.selectedContact = contact;
     }
 
     handleClearContactSelection() {
@@ -637,6 +1446,78 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.contactSearchResults = [];
     }
 
+    handleOpenNewContactForm() {
+        // Default the Account to the original Opportunity's, same as the contact search
+        this.newContact = { accountId: this.initData?.originalOpp?.AccountId || null };
+        this.clearNewContactDuplicates();
+        this.showNewContactForm = true;
+    }
+
+    handleCancelNewContact() {
+        this.showNewContactForm = false;
+        this.newContact = {};
+        this.clearNewContactDuplicates();
+    }
+
+    handleNewContactFieldChange(event) {
+        const field = event.target.dataset.field;
+        this.newContact = { ...this.newContact, [field]: event.target.value };
+        // Matches were found for the previous values
+        this.clearNewContactDuplicates();
+    }
+
+    handleNewContactAccountChange(event) {
+        this.newContact = { ...this.newContact, accountId: event.detail.recordId };
+        this.clearNewContactDuplicates();
+    }
+
+    handleDuplicateContactSelect(event) {
+        const contactId = event.currentTarget.dataset.id;
+        this.selectedContact = this.newContactDuplicates.find(c => c.id === contactId);
+        this.handleCancelNewContact();
+    }
+
+    handleCreateNewContact() {
+        this.createNewContact(false);
+    }
+
+    handleCreateDuplicateContact() {
+        this.createNewContact(true);
+    }
+
+    async createNewContact(saveDuplicate) {
+        this.isCreatingContact = true;
+        try {
+            const result = await createSubstituteContact({
+                request: this.newContact,
+                saveDuplicate
+            });
+            if (result.created) {
+                this.selectedContact = result.contact;
+                this.contactSearchTerm = '';
+                this.contactSearchResults = [];
+                this.handleCancelNewContact();
+                this.showToast('Contact Created', result.contact.name + ' has been selected as the substitute.', 'success');
+            } else {
+                this.newContactDuplicates = result.duplicates || [];
+                this.newContactCanSaveDuplicate = result.canSaveDuplicate === true;
+                this.newContactDuplicateMessage = result.duplicateMessage
+                    || 'This contact looks like one that already exists.';
+            }
+        } catch (error) {
+            console.error('[Substitution] Create contact error:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isCreatingContact = false;
+        }
+    }
+
+    clearNewContactDuplicates() {
+        this.newContactDuplicates = [];
+        this.newContactCanSaveDuplicate = false;
+        this.newContactDuplicateMessage = '';
+    }
+
     handleSubstitutionDiscountToggle(event) {
         this.applySubstitutionDiscount = event.target.value === 'yes';
     }
@@ -650,6 +1531,17 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.substitutionReasonLost = v;
     }
 
+    // ═══════════════ REVERSAL HANDLERS ═══════════════
+
+    handleReversalReasonLostChange(event) {
+        const v = event.detail?.value !== undefined ? event.detail.value : (event.target?.value ?? '');
+        this.reversalReasonLost = v;
+    }
+
+    handleReversalCommentsChange(event) {
+        this.reversalComments = event.target.value;
+    }
+
     // ═══════════════ NAVIGATION ═══════════════
 
     async handleNext() {
@@ -658,6 +1550,10 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                 this.showToast('Error', 'Please select a change type.', 'error');
                 return;
             }
+            if (!this.isChangeTypeEligible(this.changeType)) {
+                this.showToast('Error', `${this.changeType} is not available: ${this.ineligibleReason(this.changeType)}`, 'error');
+                return;
+            }
             this.currentStep = '1';
             return;
         }
@@ -668,18 +1564,49 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                     this.showToast('Error', 'Please select a program to transfer to.', 'error');
                     return;
                 }
+                if (this.isSelectedProgramEnrolled) {
+                    this.showToast(
+                        'Error',
+                        `${this.attendeeName} is already registered for ${this.selectedProgram.Name}. Cancel or transfer that registration first.`,
+                        'error'
+                    );
+                    return;
+                }
+                if (this.isSelectedProgramFull) {
+                    this.showToast('Error', `${this.selectedProgramFullMessage} Add ${this.attendeeName} to the waitlist instead.`, 'error');
+                    return;
+                }
+                if (this.selectedProgramCurrency !== this.currencyCode) {
+                    this.showToast(
+                        'Error',
+                        `${this.selectedProgram.Name} is priced in ${this.selectedProgramCurrency} but this registration is in ${this.currencyCode}. Transfers between currencies are not supported.`,
+                        'error'
+                    );
+                    return;
+                }
                 await this.loadProgramDetails();
+                if (this.isWholeBundleTransfer) {
+                    this.loadBundleMembers();
+                }
                 this.currentStep = '2';
 
             } else if (this.currentStep === '2') {
                 if (!this.validateStep2()) return;
+                if (this.isWholeBundleTransfer) {
+                    await this.loadBundleMembers();
+                    if (!this.hasBundleMembers || this.hasBundleMemberProblems) {
+                        this.showToast('Error', 'Some registrations in the bundle cannot be transferred. Transfer this registration on its own instead.', 'error');
+                        return;
+                    }
+                }
                 if (this.applyDiscount && this.discountCode && (!this.discountAmount || Number(this.discountAmount) <= 0)) {
                     this.isLoading = true;
                     try {
                         const result = await getDiscountByCode({
                             discountCode: this.discountCode.trim(),
                             pricebook2Id: this.initData?.originalOpp?.Pricebook2Id,
-                            newProgramFeeAmount: Number(this.newProgramFeeAmount) || 0
+                            newProgramFeeAmount: Number(this.newProgramFeeAmount) || 0,
+                            currencyIsoCode: this.currencyCode
                         });
                         if (!result.valid) {
                             this.showToast('Validation Error', result.errorMessage || 'Invalid discount code.', 'error');
@@ -695,6 +1622,7 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                     this.isLoading = false;
                 }
                 this.currentStep = '3';
+                this.loadFinancialPreview();
             }
         }
 
@@ -708,18 +1636,24 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                     this.showToast('Error', 'Reason Lost is required.', 'error');
                     return;
                 }
+                if (this.isCancellationFeeOverridden && !String(this.cancellationFeeJustification || '').trim()) {
+                    this.showToast('Error', 'Please justify charging a cancellation fee other than the fee schedule amount.', 'error');
+                    return;
+                }
                 if (this.requiresSettlementScreen) {
                     this.currentStep = '2';
                 } else {
                     this.currentStep = '3';
+                    this.loadFinancialPreview();
                 }
 
             } else if (this.currentStep === '2') {
-                if (!this.cancelSettlementType) {
-                    this.showToast('Error', 'Please select a settlement type.', 'error');
+                if (!this.isCancelSettlementBalanced) {
+                    this.showToast('Error', 'The settlement amounts must add up to the refund amount.', 'error');
                     return;
                 }
                 this.currentStep = '3';
+                this.loadFinancialPreview();
             }
         }
 
@@ -734,11 +1668,24 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                     return;
                 }
                 this.currentStep = '2';
+                this.loadFinancialPreview();
+            }
+        }
+
+        if (this.isReversalPath) {
+            if (this.currentStep === '1') {
+                if (this.reversalClosesReplacement && !String(this.reversalReasonLost || '').trim()) {
+                    this.showToast('Error', 'Reason Lost is required.', 'error');
+                    return;
+                }
+                this.currentStep = '2';
+                this.loadFinancialPreview();
             }
         }
     }
 
     handleBack() {
+        this.financialPreview = null;
         if (this.currentStep === '1') {
             this.currentStep = '0';
         } else if (this.currentStep === '2') {
@@ -753,29 +1700,49 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     }
 
     handleCancel() {
+        // Keep what was entered: save it now and offer it back on step 0
+        if (this.isDraftable) {
+            this.cancelDraftSave?.();
+            this.cancelDraftSave = null;
+            this.saveDraftNow().then((draft) => {
+                this.savedDraft = draft;
+            });
+        }
+        this.lastDraftSnapshot = null;
+        this.draftSavedAt = null;
+
         // Reset to initial state
         this.currentStep = '0';
         this.changeType = '';
         // Transfer state
-        this.programSearchTerm = '';
-        this.filteredPrograms = [];
         this.selectedProgram = null;
-        this.selectedProgramRows = [];
+        this.selectedProgramSeats = null;
         this.programDetails = null;
+        this.selectedModuleIds = this.transferableModules.map((oli) => oli.Id);
         this.newProgramFeeAmount = 0;
         this.applyTransferFee = true;
         this.transferFeeAmount = 0;
+        this.transferFeeJustification = '';
         this.settlementType = '';
         this.applyDiscount = false;
         this.discountAmount = 0;
         this.discountCode = '';
         this.calculatedDiscountAmount = null;
         this.regChangeComments = '';
+        this.bundleOption = BUNDLE_OPTION_KEEP;
+        this.transferWholeBundle = false;
+        this.bundleMembers = [];
         this.transferResult = {};
+        this.balanceDuePayment = null;
+        this.stopPaymentStepPolling?.();
+        this.paymentStepStatus = null;
+        this.stopBundlePolling?.();
+        this.bundleRunId = null;
+        this.bundleRunStatus = null;
         // Cancellation state
-        this.applyCancellationFee = false;
-        this.cancellationFeeAmount = 0;
-        this.cancelSettlementType = '';
+        this.applySuggestedCancellationFee();
+        this.cancellationFeeJustification = '';
+        this.cancelSettlementAmounts = {};
         this.cancelComments = '';
         this.cancellationReasonLost = '';
         this.cancellationResult = {};
@@ -788,23 +1755,204 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         this.substitutionReasonLost = '';
         this.substitutionResult = {};
         this.isSearchingContacts = false;
+        this.showNewContactForm = false;
+        this.newContact = {};
+        this.clearNewContactDuplicates();
+        this.isCreatingContact = false;
+        // Reversal state
+        this.reversalReasonLost = '';
+        this.reversalComments = '';
+        this.reversalResult = {};
         this.isProcessing = false;
+        // Financial preview
+        this.financialPreview = null;
+        this.isPreviewLoading = false;
+        // Confirmation email
+        this.sendConfirmationEmail = true;
+        this.additionalEmailRecipients = '';
+        // Next change gets a new idempotency key
+        this.idempotencyKey = null;
+    }
+
+    // ═══════════════ DRAFTS ═══════════════
+    // One draft per Attendee and user, saved while a change is in progress and
+    // deleted once it is executed. Drafts are a convenience: a failed load or
+    // save is shown as a warning but never blocks the wizard.
+
+    async loadDraft() {
+        try {
+            this.savedDraft = await getDraft({ attendeeId: this.resolvedAttendeeId });
+        } catch (error) {
+            this.savedDraft = null;
+            this.showToast('Draft Not Loaded', 'A saved draft could not be loaded: ' + this.extractErrorMessage(error), 'warning');
+        }
+    }
+
+    get isDraftable() {
+        return this.showFooter && this.currentStep !== '0' && !!this.changeType;
+    }
+
+    get hasSavedDraft() {
+        return this.isStep0 && !!this.savedDraft;
+    }
+
+    get savedDraftSummary() {
+        const draft = this.savedDraft;
+        if (!draft) return '';
+        const savedAt = draft.savedAt ? new Date(draft.savedAt).toLocaleString('en-US', {
+            month: 'short', day: '2-digit', hour: 'numeric', minute: '2-digit'
+        }) : '';
+        return `${draft.changeType} in progress (step ${draft.currentStep}), saved ${savedAt}.`;
+    }
+
+    get savedDraftExpiry() {
+        if (!this.savedDraft?.expiresAt) return '';
+        return new Date(this.savedDraft.expiresAt).toLocaleDateString('en-US', {
+            month: 'short', day: '2-digit', year: 'numeric'
+        });
+    }
+
+    get draftSavedLabel() {
+        if (!this.draftSavedAt || !this.isDraftable) return '';
+        return 'Draft saved ' + new Date(this.draftSavedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    }
+
+    draftState() {
+        const state = {};
+        DRAFT_FIELDS.forEach((field) => {
+            state[field] = this[field];
+        });
+        return state;
+    }
+
+    scheduleDraftSave() {
+        if (!this.isDraftable) return;
+        const snapshot = `${this.changeType}|${this.currentStep}|${JSON.stringify(this.draftState())}`;
+        if (snapshot === this.lastDraftSnapshot) return;
+        this.lastDraftSnapshot = snapshot;
+        this.cancelDraftSave?.();
+        this.cancelDraftSave = delay(() => {
+            this.cancelDraftSave = null;
+            this.saveDraftNow();
+        }, DRAFT_SAVE_DELAY_MS);
+    }
+
+    // Reads the wizard synchronously, so callers may reset it straight after
+    saveDraftNow() {
+        const params = {
+            attendeeId: this.resolvedAttendeeId,
+            changeType: this.changeType,
+            currentStep: this.currentStep,
+            draftJson: JSON.stringify(this.draftState())
+        };
+        this.draftSavePromise = this.draftSavePromise
+            .then(() => saveDraft(params))
+            .then((draft) => {
+                this.draftSavedAt = draft.savedAt;
+                this.savedDraft = null;     // Any earlier draft offered on step 0 is replaced
+                this.draftSaveFailed = false;
+                return draft;
+            })
+            .catch((error) => {
+                this.lastDraftSnapshot = null;
+                this.draftSavedAt = null;   // The last saved label would no longer be true
+                if (!this.draftSaveFailed) {
+                    this.draftSaveFailed = true;
+                    this.showToast(
+                        'Draft Not Saved',
+                        'Your progress could not be saved as a draft: ' + this.extractErrorMessage(error),
+                        'warning'
+                    );
+                }
+                return null;
+            });
+        return this.draftSavePromise;
+    }
+
+    // The change was executed: drop the draft once any save in flight has landed
+    clearDraft() {
+        this.cancelDraftSave?.();
+        this.cancelDraftSave = null;
+        this.savedDraft = null;
+        this.draftSavedAt = null;
+        const attendeeId = this.resolvedAttendeeId;
+        this.draftSavePromise = this.draftSavePromise
+            .then(() => discardDraft({ attendeeId }))
+            .catch(() => null);
+    }
+
+    async handleResumeDraft() {
+        const draft = this.savedDraft;
+        let values;
+        try {
+            values = JSON.parse(draft.draftJson || '{}');
+        } catch {
+            values = {};
+        }
+        if (draft.changeType === 'Reversal' && !this.canReverseChange) {
+            this.showToast('Draft Not Resumed', 'This registration no longer has a change that can be reversed.', 'warning');
+            this.handleDiscardDraft();
+            return;
+        }
+        if (!this.isChangeTypeEligible(draft.changeType)) {
+            this.showToast(
+                'Draft Not Resumed',
+                `${draft.changeType} is no longer available for this registration: ${this.ineligibleReason(draft.changeType)}`,
+                'warning'
+            );
+            this.handleDiscardDraft();
+            return;
+        }
+
+        DRAFT_FIELDS.forEach((field) => {
+            if (Object.prototype.hasOwnProperty.call(values, field)) {
+                this[field] = values[field];
+            }
+        });
+        this.changeType = draft.changeType;
+        this.savedDraft = null;
+
+        const step = draft.currentStep;
+        if (this.isTransferPath && this.selectedProgram && step !== '1') {
+            await this.loadProgramDetails(false);
+            if (this.isWholeBundleTransfer) {
+                await this.loadBundleMembers();
+            }
+        }
+        this.currentStep = step;
+        this.draftSavedAt = draft.savedAt;
+        if (this.isTransferStep3 || this.isCancellationStep3 || this.isSubstitutionStep2 || this.isReversalStep2) {
+            this.loadFinancialPreview();
+        }
+    }
+
+    async handleDiscardDraft() {
+        this.savedDraft = null;
+        try {
+            await discardDraft({ attendeeId: this.resolvedAttendeeId });
+        } catch (error) {
+            this.showToast('Error', 'Failed to discard the draft: ' + this.extractErrorMessage(error), 'error');
+        }
     }
 
     // ═══════════════ PROGRAM DETAILS LOAD ═══════════════
 
-    async loadProgramDetails() {
+    // applyDefaults = false when resuming a draft: keep the fees it saved
+    async loadProgramDetails(applyDefaults = true) {
         this.isLoading = true;
         try {
             this.programDetails = await getProgramDetails({
                 specialEventId: this.selectedProgram.Id,
                 pricebook2Id: this.initData?.originalOpp?.Pricebook2Id
             });
+            if (!applyDefaults) return;
 
-            this.newProgramFeeAmount = this.programDetails?.expectedProgramFee
-                || this.selectedProgram.Expected_Program_Fee__c || 0;
+            this.newProgramFeeAmount = this.defaultNewProgramFee();
 
-            if (this.programDetails?.transferFeePBE) {
+            if (this.suggestedTransferFee) {
+                this.transferFeeAmount = Number(this.suggestedTransferFee.amount) || 0;
+                this.applyTransferFee = this.transferFeeAmount > 0;
+            } else if (this.programDetails?.transferFeePBE) {
                 this.transferFeeAmount = this.programDetails.transferFeePBE.UnitPrice || 0;
             }
         } catch (error) {
@@ -817,6 +1965,10 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     // ═══════════════ VALIDATION ═══════════════
 
     validateStep2() {
+        if (this.hasMultipleModules && this.selectedModuleIds.length === 0) {
+            this.showToast('Validation Error', 'Please select at least one module to transfer.', 'error');
+            return false;
+        }
         if (this.newProgramFeeAmount === null || this.newProgramFeeAmount === undefined || this.newProgramFeeAmount === '') {
             this.showToast('Validation Error', 'Please enter the new program fee amount.', 'error');
             return false;
@@ -825,6 +1977,18 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
             this.showToast('Validation Error', 'Program fee amount cannot be negative.', 'error');
             return false;
         }
+        if (this.isTransferFeeOverridden && !String(this.transferFeeJustification || '').trim()) {
+            this.showToast('Validation Error', 'Please justify charging a transfer fee other than the fee schedule amount.', 'error');
+            return false;
+        }
+        if (this.isWholeBundleTransfer && this.isPartialTransfer) {
+            this.showToast('Validation Error', 'A whole-bundle transfer moves every module. Select all modules or transfer this registration on its own.', 'error');
+            return false;
+        }
+        if (this.isCheaperProgram && !this.settlementType) {
+            this.showToast('Validation Error', 'The new program is cheaper. Please choose how to settle the net credit.', 'error');
+            return false;
+        }
         if (this.applyDiscount) {
             const hasAmount = this.discountAmount && Number(this.discountAmount) > 0;
             const hasCode = this.discountCode && String(this.discountCode).trim().length > 0;
@@ -836,15 +2000,138 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         return true;
     }
 
+    // ═══════════════ REQUEST BUILDERS ═══════════════
+    // Shared by the preview and execute calls so the ledger on the review
+    // step is computed from exactly the request that will be executed.
+
+    get resolvedAttendeeId() {
+        // Use attendee ID from initData (already fetched) as fallback
+        // in case recordId becomes unavailable in Quick Action context
+        return this.recordId || this.initData?.attendee?.Id;
+    }
+
+    buildTransferRequest() {
+        return {
+            attendeeId: this.resolvedAttendeeId,
+            originalOppId: this.initData.originalOpp.Id,
+            newSpecialEventId: this.selectedProgram.Id,
+            applyTransferFee: this.applyTransferFee,
+            transferFeeAmount: this.applyTransferFee ? Number(this.transferFeeAmount) : 0,
+            settlementType: this.isCheaperProgram ? this.settlementType : '',
+            applyDiscount: this.applyDiscount,
+            discountAmount: this.applyDiscount ? Number(this.discountAmount) : 0,
+            discountCode: this.applyDiscount ? this.discountCode : '',
+            sameProgramTransfer: this.sameProgramTransfer,
+            newProgramFeeAmount: Number(this.newProgramFeeAmount),
+            regChangeComments: this.regChangeComments || '',
+            transferModuleLineItemIds: this.isPartialTransfer ? this.selectedModuleIds : [],
+            bundleOption: this.isBundledRegistration ? this.bundleOption : null,
+            feeOverrideJustification: this.isTransferFeeOverridden ? this.transferFeeJustification.trim() : '',
+            ...this.confirmationEmailRequest(),
+            idempotencyKey: this.submissionKey()
+        };
+    }
+
+    buildBundleTransferRequest() {
+        return {
+            attendeeId: this.resolvedAttendeeId,
+            newSpecialEventId: this.selectedProgram.Id,
+            newProgramFeeAmount: Number(this.newProgramFeeAmount),
+            bundleOption: this.bundleOption,
+            applyTransferFee: this.applyTransferFee,
+            transferFeeAmount: this.applyTransferFee ? Number(this.transferFeeAmount) : 0,
+            applyDiscount: this.applyDiscount,
+            regChangeComments: this.regChangeComments || '',
+            idempotencyKey: this.submissionKey()
+        };
+    }
+
+    buildCancellationRequest() {
+        return {
+            attendeeId: this.resolvedAttendeeId,
+            originalOppId: this.initData.originalOpp.Id,
+            applyCancellationFee: this.applyCancellationFee,
+            cancellationFeeAmount: this.applyCancellationFee ? Number(this.cancellationFeeAmount) : 0,
+            settlementType: null,
+            settlementSplits: this.requiresSettlementScreen ? this.cancelSettlementSplits : [],
+            cancelComments: this.cancelComments || '',
+            reasonLost: String(this.cancellationReasonLost || '').trim(),
+            feeOverrideJustification: this.isCancellationFeeOverridden ? this.cancellationFeeJustification.trim() : '',
+            ...this.confirmationEmailRequest(),
+            idempotencyKey: this.submissionKey()
+        };
+    }
+
+    buildSubstitutionRequest() {
+        return {
+            attendeeId: this.resolvedAttendeeId,
+            originalOppId: this.initData.originalOpp.Id,
+            substituteContactId: this.selectedContact.id,
+            applyDiscount: this.hasOriginalDiscount ? this.applySubstitutionDiscount : false,
+            substitutionComments: this.substitutionComments || '',
+            reasonLost: String(this.substitutionReasonLost || '').trim(),
+            ...this.confirmationEmailRequest(),
+            idempotencyKey: this.submissionKey()
+        };
+    }
+
+    // Kept until the wizard is reset, so resubmitting after a timeout cannot run the change twice
+    submissionKey() {
+        if (!this.idempotencyKey) {
+            this.idempotencyKey = newIdempotencyKey();
+        }
+        return this.idempotencyKey;
+    }
+
+    // The preview shows the email; it is only sent when the toggle is on and it can be
+    confirmationEmailRequest() {
+        return {
+            sendConfirmationEmail: this.willSendConfirmationEmail,
+            additionalEmailRecipients: this.willSendConfirmationEmail ? this.additionalEmailRecipientList : []
+        };
+    }
+
+    buildReversalRequest() {
+        return {
+            attendeeId: this.resolvedAttendeeId,
+            originalOppId: this.initData.originalOpp.Id,
+            reversalComments: this.reversalComments || '',
+            reasonLost: this.reversalClosesReplacement ? String(this.reversalReasonLost || '').trim() : ''
+        };
+    }
+
+    // ═══════════════ FINANCIAL PREVIEW LOAD ═══════════════
+
+    async loadFinancialPreview() {
+        this.financialPreview = null;
+        this.isPreviewLoading = true;
+        try {
+            if (this.isTransferPath) {
+                this.financialPreview = await previewTransfer({ request: this.buildTransferRequest() });
+            } else if (this.isCancellationPath) {
+                this.financialPreview = await previewCancellation({ request: this.buildCancellationRequest() });
+            } else if (this.isSubstitutionPath) {
+                this.financialPreview = await previewSubstitution({ request: this.buildSubstitutionRequest() });
+            } else if (this.isReversalPath) {
+                this.financialPreview = await previewRegistrationReversal({ request: this.buildReversalRequest() });
+            }
+        } catch (error) {
+            this.financialPreview = { success: false, errorMessage: this.extractErrorMessage(error) };
+        } finally {
+            this.isPreviewLoading = false;
+        }
+    }
+
     // ═══════════════ EXECUTE TRANSFER ═══════════════
 
     async handleExecuteTransfer() {
+        if (this.isProcessing) {
+            return;
+        }
         this.isProcessing = true;
 
         try {
-            // Use attendee ID from initData (already fetched) as fallback
-            // in case recordId becomes unavailable in Quick Action context
-            const attendeeId = this.recordId || this.initData?.attendee?.Id;
+            const attendeeId = this.resolvedAttendeeId;
 
             // Debug logging - check browser console (F12) if issues persist
             console.log('[TransferRegistration] handleExecuteTransfer called');
@@ -863,29 +2150,36 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                 return;
             }
 
-            const request = {
-                attendeeId: attendeeId,
-                originalOppId: this.initData.originalOpp.Id,
-                newSpecialEventId: this.selectedProgram.Id,
-                applyTransferFee: this.applyTransferFee,
-                transferFeeAmount: this.applyTransferFee ? Number(this.transferFeeAmount) : 0,
-                applyDiscount: this.applyDiscount,
-                discountAmount: this.applyDiscount ? Number(this.discountAmount) : 0,
-                discountCode: this.applyDiscount ? this.discountCode : '',
-                sameProgramTransfer: this.sameProgramTransfer,
-                newProgramFeeAmount: Number(this.newProgramFeeAmount),
-                regChangeComments: this.regChangeComments || ''
-            };
+            if (this.isWholeBundleTransfer) {
+                this.bundleRunId = await startBundleTransfer({ request: this.buildBundleTransferRequest() });
+                this.bundleRunStatus = null;
+                this.currentStep = '4';
+                this.clearDraft();
+                this.stopBundlePolling = poll(() => this.refreshBundleRunStatus());
+                return;
+            }
 
-            const result = await executeTransfer({ request: request });
+            const result = await executeTransfer({ request: this.buildTransferRequest() });
 
-            if (result.success) {
+            if (result.success && result.pendingApproval) {
                 this.transferResult = result;
                 this.currentStep = '4';
+                this.clearDraft();
                 this.showToast(
+                    'Submitted for Approval',
+                    `The transfer to ${this.selectedProgram.Name} will run once finance approves it.`,
+                    'info'
+                );
+            } else if (result.success) {
+                this.transferResult = result;
+                this.currentStep = '4';
+                this.clearDraft();
+                this.notifyConfirmationEmail(result);
+                this.startPaymentStepPolling();
+                this.showExecuteSuccessToast(
+                    result,
                     'Transfer Successful',
-                    `${this.attendeeName} transferred to ${this.selectedProgram.Name}`,
-                    'success'
+                    `${this.attendeeName} transferred to ${this.selectedProgram.Name}`
                 );
             } else {
                 this.showToast('Transfer Failed', result.errorMessage, 'error');
@@ -897,13 +2191,45 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         }
     }
 
+    // Full target program: waitlist the participant there and keep the current registration
+    async handleJoinWaitlist() {
+        this.isProcessing = true;
+        try {
+            const result = await joinWaitlist({
+                request: {
+                    attendeeId: this.resolvedAttendeeId,
+                    originalOppId: this.initData.originalOpp.Id,
+                    newSpecialEventId: this.selectedProgram.Id,
+                    sameProgramTransfer: false
+                }
+            });
+
+            if (result.success) {
+                this.transferResult = result;
+                this.currentStep = '4';
+                this.clearDraft();
+                this.showToast(
+                    'Added to Waitlist',
+                    `${this.attendeeName} is on the waitlist for ${this.selectedProgram.Name}`,
+                    'success'
+                );
+            } else {
+                this.showToast('Waitlist Failed', result.errorMessage, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
     // ═══════════════ EXECUTE CANCELLATION ═══════════════
 
     async loadCancellationReasonLostOptions() {
         try {
             const opts = await getCancellationReasonLostOptions();
             this.reasonLostOptions = Array.isArray(opts) ? opts : [];
-        } catch (e) {
+        } catch {
             this.reasonLostOptions = [];
         }
     }
@@ -914,6 +2240,9 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     }
 
     async handleExecuteCancellation() {
+        if (this.isProcessing) {
+            return;
+        }
         this.isProcessing = true;
 
         try {
@@ -923,7 +2252,7 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                 return;
             }
 
-            const attendeeId = this.recordId || this.initData?.attendee?.Id;
+            const attendeeId = this.resolvedAttendeeId;
 
             if (!attendeeId || attendeeId === '' || attendeeId.length < 15) {
                 this.showToast(
@@ -935,25 +2264,26 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                 return;
             }
 
-            const request = {
-                attendeeId: attendeeId,
-                originalOppId: this.initData.originalOpp.Id,
-                applyCancellationFee: this.applyCancellationFee,
-                cancellationFeeAmount: this.applyCancellationFee ? Number(this.cancellationFeeAmount) : 0,
-                settlementType: this.cancelSettlementType || null,
-                cancelComments: this.cancelComments || '',
-                reasonLost: String(this.cancellationReasonLost || '').trim()
-            };
-
-            const result = await executeCancellation({ request: request });
+            const result = await executeCancellation({ request: this.buildCancellationRequest() });
 
-            if (result.success) {
+            if (result.success && result.pendingApproval) {
                 this.cancellationResult = result;
                 this.currentStep = '4';
+                this.clearDraft();
                 this.showToast(
+                    'Submitted for Approval',
+                    `The cancellation of ${this.attendeeName}'s registration will run once finance approves it.`,
+                    'info'
+                );
+            } else if (result.success) {
+                this.cancellationResult = result;
+                this.currentStep = '4';
+                this.clearDraft();
+                this.notifyConfirmationEmail(result);
+                this.showExecuteSuccessToast(
+                    result,
                     'Cancellation Successful',
-                    `${this.attendeeName}'s registration has been cancelled.`,
-                    'success'
+                    `${this.attendeeName}'s registration has been cancelled.`
                 );
             } else {
                 this.showToast('Cancellation Failed', result.errorMessage, 'error');
@@ -968,10 +2298,13 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
     // ═══════════════ EXECUTE SUBSTITUTION ═══════════════
 
     async handleExecuteSubstitution() {
+        if (this.isProcessing) {
+            return;
+        }
         this.isProcessing = true;
 
         try {
-            const attendeeId = this.recordId || this.initData?.attendee?.Id;
+            const attendeeId = this.resolvedAttendeeId;
 
             if (!attendeeId || attendeeId === '' || attendeeId.length < 15) {
                 this.showToast(
@@ -995,24 +2328,17 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
                 return;
             }
 
-            const request = {
-                attendeeId: attendeeId,
-                originalOppId: this.initData.originalOpp.Id,
-                substituteContactId: this.selectedContact.id,
-                applyDiscount: this.hasOriginalDiscount ? this.applySubstitutionDiscount : false,
-                substitutionComments: this.substitutionComments || '',
-                reasonLost: String(this.substitutionReasonLost || '').trim()
-            };
-
-            const result = await executeSubstitution({ request: request });
+            const result = await executeSubstitution({ request: this.buildSubstitutionRequest() });
 
             if (result.success) {
                 this.substitutionResult = result;
                 this.currentStep = '3';
-                this.showToast(
+                this.clearDraft();
+                this.notifyConfirmationEmail(result);
+                this.showExecuteSuccessToast(
+                    result,
                     'Substitution Successful',
-                    `${this.attendeeName} has been substituted with ${this.selectedContact.name}.`,
-                    'success'
+                    `${this.attendeeName} has been substituted with ${this.selectedContact.name}.`
                 );
             } else {
                 this.showToast('Substitution Failed', result.errorMessage, 'error');
@@ -1024,6 +2350,45 @@ export default class TransferRegistration extends NavigationMixin(LightningEleme
         }
     }
 
+    // ═══════════════ EXECUTE REVERSAL ═══════════════
+
+    async handleExecuteReversal() {
+        this.isProcessing = true;
+
+        try {
+            const attendeeId = this.resolvedAttendeeId;
+
+            if (!attendeeId || attendeeId === '' || attendeeId.length < 15) {
+                this.showToast(
+                    'Error',
+                    'Unable to determine Attendee ID. Please refresh and try again.',
+                    'error'
+                );
+                this.isProcessing = false;
+                return;
+            }
+
+            const result = await reverseRegistrationChange({ request: this.buildReversalRequest() });
+
+            if (result.success) {
+                this.reversalResult = result;
+                this.currentStep = '3';
+                this.clearDraft();
+                this.showToast(
+                    'Reversal Successful',
+                    `${this.attendeeName}'s ${REVERSIBLE_CHANGE_TYPES[result.reversedChangeType]} has been reversed.`,
+                    'success'
+                );
+            } else {
+                this.showToast('Reversal Failed', result.errorMessage, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
     // ═══════════════ UTILITIES ═══════════════
 
     showToast(title, message, variant) {
@@ -0,0 +1,132 @@
+import { createElement } from 'lwc';
+import WaitlistPromotion from 'c/waitlistPromotion';
+import getWaitlist from '@salesforce/apex/TransferRegistrationController.getWaitlist';
+import promoteWaitlistedAttendee from '@salesforce/apex/TransferRegistrationController.promoteWaitlistedAttendee';
+
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.getWaitlist',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TransferRegistrationController.promoteWaitlistedAttendee',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const PROGRAM_ID = 'a0X000000000001AAA';
+const RELEASED_OPPORTUNITY_ID = '006000000000001AAA';
+
+const WAITLIST = [
+    { attendeeId: 'a01000000000001AAA', attendeeName: 'Jane Doe', email: 'jane@example.com', registrationDate: '2026-01-05' },
+    { attendeeId: 'a01000000000002AAA', attendeeName: 'John Smith', email: 'john@example.com', registrationDate: '2026-01-09' }
+];
+
+// Lets the Apex promises and the re-render settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createComponent() {
+    const element = createElement('c-waitlist-promotion', { is: WaitlistPromotion });
+    element.programId = PROGRAM_ID;
+    element.releasedOpportunityId = RELEASED_OPPORTUNITY_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+function promoteButtons(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button'));
+}
+
+describe('c-waitlist-promotion', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the waitlist in order', async () => {
+        getWaitlist.mockResolvedValue(WAITLIST);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getWaitlist).toHaveBeenCalledWith({ specialEventId: PROGRAM_ID });
+        const names = Array.from(element.shadowRoot.querySelectorAll('strong')).map((name) => name.textContent);
+        expect(names).toEqual(['Jane Doe', 'John Smith']);
+        expect(element.shadowRoot.textContent).toContain('Waitlisted Jan 05, 2026');
+        expect(promoteButtons(element).every((promote) => !promote.disabled)).toBe(true);
+    });
+
+    it('says so when nobody is waitlisted', async () => {
+        getWaitlist.mockResolvedValue([]);
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('Nobody is on the waitlist for this program.');
+    });
+
+    it('warns when the waitlist cannot be loaded', async () => {
+        getWaitlist.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            message: 'Failed to load the waitlist: Insufficient access',
+            variant: 'error'
+        });
+        expect(element.shadowRoot.textContent).toContain('Nobody is on the waitlist for this program.');
+    });
+
+    it('promotes one attendee into the released seat', async () => {
+        getWaitlist.mockResolvedValue(WAITLIST);
+        promoteWaitlistedAttendee.mockResolvedValue({
+            success: true,
+            attendeeId: WAITLIST[1].attendeeId,
+            newOpportunityId: '006000000000002AAA',
+            newOpportunityName: 'Smith - WIL'
+        });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        promoteButtons(element)[1].click();
+        await flushPromises();
+
+        expect(promoteWaitlistedAttendee).toHaveBeenCalledWith({
+            attendeeId: WAITLIST[1].attendeeId,
+            releasedOpportunityId: RELEASED_OPPORTUNITY_ID
+        });
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Promoted from Waitlist',
+            message: 'John Smith now has the released seat.',
+            variant: 'success'
+        });
+        expect(element.shadowRoot.querySelector('a[href="/lightning/r/Opportunity/006000000000002AAA/view"]')).not.toBeNull();
+        // Only one seat was released
+        expect(promoteButtons(element).every((promote) => promote.disabled)).toBe(true);
+    });
+
+    it('keeps the seat open when the promotion fails', async () => {
+        getWaitlist.mockResolvedValue(WAITLIST);
+        promoteWaitlistedAttendee.mockResolvedValue({ success: false, errorMessage: 'Attendee is no longer waitlisted' });
+        const element = createComponent();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        promoteButtons(element)[0].click();
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Promotion Failed',
+            message: 'Attendee is no longer waitlisted',
+            variant: 'error'
+        });
+        expect(promoteButtons(element).every((promote) => !promote.disabled)).toBe(true);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * @description  Waitlist promotion - shown on the cancellation and transfer completion
+ *               screens of transferRegistration. Lists the waitlisted attendees of the
+ *               program whose seat was just released (oldest registration first) and
+ *               promotes one into that seat: TransferRegistrationController creates the
+ *               registration Opportunity, flips the attendee to Registered and logs it.
+ */
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+
+import getWaitlist from '@salesforce/apex/TransferRegistrationController.getWaitlist';
+import promoteWaitlistedAttendee from '@salesforce/apex/TransferRegistrationController.promoteWaitlistedAttendee';
+
+export default class WaitlistPromotion extends LightningElement {
+    @api programId;
+    @api releasedOpportunityId;     // Registration that gave up the seat
+
+    // ═══════════════ STATE ═══════════════
+    @track waitlist = [];
+    @track isLoading = true;
+    @track promotingAttendeeId = null;
+    @track promotionResult = null;
+
+    connectedCallback() {
+        this.loadWaitlist();
+    }
+
+    async loadWaitlist() {
+        this.isLoading = true;
+        try {
+            this.waitlist = await getWaitlist({ specialEventId: this.programId });
+        } catch (error) {
+            this.waitlist = [];
+            this.showToast('Error', 'Failed to load the waitlist: ' + this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ═══════════════ DISPLAY PROPERTIES ═══════════════
+
+    get hasWaitlist() {
+        return this.waitlist && this.waitlist.length > 0;
+    }
+
+    // One seat was released, so only one attendee can be promoted
+    get waitlistRows() {
+        const promoted = !!this.promotionResult;
+        return (this.waitlist || []).map((entry, index) => ({
+            ...entry,
+            position: index + 1,
+            attendeeUrl: `/lightning/r/evt__Attendee__c/${entry.attendeeId}/view`,
+            formattedRegistrationDate: this.formatDate(entry.registrationDate),
+            isPromoting: this.promotingAttendeeId === entry.attendeeId,
+            disablePromote: promoted || !!this.promotingAttendeeId
+        }));
+    }
+
+    get promotedOpportunityUrl() {
+        return this.promotionResult
+            ? `/lightning/r/Opportunity/${this.promotionResult.newOpportunityId}/view`
+            : null;
+    }
+
+    get promotedAttendeeName() {
+        const entry = (this.waitlist || []).find(e => e.attendeeId === this.promotionResult?.attendeeId);
+        return entry ? entry.attendeeName : '';
+    }
+
+    // ═══════════════ HANDLERS ═══════════════
+
+    async handlePromote(event) {
+        const attendeeId = event.currentTarget.dataset.id;
+        this.promotingAttendeeId = attendeeId;
+        try {
+            const result = await promoteWaitlistedAttendee({
+                attendeeId,
+                releasedOpportunityId: this.releasedOpportunityId
+            });
+            if (result.success) {
+                this.promotionResult = result;
+                this.showToast('Promoted from Waitlist', `${this.promotedAttendeeName} now has the released seat.`, 'success');
+            } else {
+                this.showToast('Promotion Failed', result.errorMessage, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.promotingAttendeeId = null;
+        }
+    }
+
+    // ═══════════════ UTILITIES ═══════════════
+
+    // Apex Date arrives as 'YYYY-MM-DD'; format in UTC so it is not shifted a day
+    formatDate(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleDateString('en-US', {
+            month: 'short', day: '2-digit', year: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    extractErrorMessage(error) {
+        if (typeof error === 'string') return error;
+        if (error?.body?.message) return error.body.message;
+        if (error?.message) return error.message;
+        return JSON.stringify(error);
+    }
+}
@@ -0,0 +1,11 @@
+/**
+ * Jest stand-in for lightning/actions, which sfdx-lwc-jest does not stub.
+ * Quick action components close themselves by dispatching CloseActionScreenEvent.
+ */
+export const CloseActionScreenEventName = 'lightning__actionsclosescreen';
+
+export class CloseActionScreenEvent extends CustomEvent {
+    constructor() {
+        super(CloseActionScreenEventName, { bubbles: true, composed: true });
+    }
+}